@@ -0,0 +1,121 @@
+/* eslint no-unused-vars: "off" */
+const Discord = require("discord.js");
+
+/**
+ * `@2.9.0` Options to create a {@link Context} without a message or an interaction,
+ * e.g. from a web dashboard or a scheduled job.
+ * @typedef {Object} ContextOptions
+ * @prop {Discord.VoiceChannel} [voiceChannel] The voice channel to join, the one of `member` if not set
+ * @prop {Discord.GuildMember} [member] The member using DisTube
+ * @prop {Discord.User} [user] The user using DisTube, the one of `member` if not set
+ * @prop {Discord.TextChannel} [textChannel] The text channel used to answer, e.g. to choose a search result
+ * @prop {Discord.Guild} [guild] The guild, the one of the channels or `member` if not set
+ */
+
+/**
+ * `@2.9.0` What DisTube methods accept to know the guild, the voice channel and the user:
+ * a `Discord.Message`, a discord.js v13 `CommandInteraction`, a {@link Context} or {@link ContextOptions}.
+ * @typedef {Discord.Message|Context|ContextOptions|Object} ContextResolvable
+ */
+
+/**
+ * `@2.9.0` The guild, channels and user a queue or an event is about.
+ * Created by DisTube from a message, an interaction or {@link ContextOptions}.
+ * The events get the original message of the commands from a message, and the context of the others (e.g. interactions).
+ * It has the `guild`, `channel`, `member` and `author` properties of a message, so `message.channel.send()` works in both cases,
+ * but not the other message properties and methods like `content` or `reply()`.
+ */
+class Context {
+  /**
+   * @param {Object} data Context data
+   * @param {Discord.Guild} data.guild The guild
+   * @param {?Discord.VoiceChannel} [data.voiceChannel] The voice channel
+   * @param {?Discord.TextChannel} [data.textChannel] The text channel
+   * @param {?Discord.GuildMember} [data.member] The member
+   * @param {?Discord.User} [data.user] The user
+   * @param {?Discord.Message} [data.message] The message
+   * @param {?Object} [data.interaction] The interaction
+   */
+  constructor({ guild, voiceChannel = null, textChannel = null, member = null, user = null, message = null, interaction = null }) {
+    if (!guild) throw new TypeError("The context must have a guild.");
+    /**
+     * The guild
+     * @type {Discord.Guild}
+     */
+    this.guild = guild;
+    this._voiceChannel = voiceChannel;
+    /**
+     * The text channel, `null` if unknown
+     * @type {?Discord.TextChannel}
+     */
+    this.channel = textChannel;
+    /**
+     * The member, `null` if unknown
+     * @type {?Discord.GuildMember}
+     */
+    this.member = member;
+    /**
+     * The user, `null` if unknown
+     * @type {?Discord.User}
+     */
+    this.author = user || (member ? member.user : null);
+    /**
+     * The message the context is created from
+     * @type {?Discord.Message}
+     */
+    this.message = message;
+    /**
+     * The interaction the context is created from
+     * @type {?Object}
+     */
+    this.interaction = interaction;
+  }
+
+  /**
+   * The voice channel to join, the current one of {@link Context#member} if not set
+   * @type {?Discord.VoiceChannel}
+   */
+  get voiceChannel() {
+    return this._voiceChannel || (this.member && this.member.voice ? this.member.voice.channel : null) || null;
+  }
+
+  /**
+   * Alias of {@link Context#channel}
+   * @type {?Discord.TextChannel}
+   */
+  get textChannel() {
+    return this.channel;
+  }
+
+  /**
+   * Alias of {@link Context#author}
+   * @type {?Discord.User}
+   */
+  get user() {
+    return this.author;
+  }
+
+  /**
+   * Create a context from a message, an interaction, a context or context options
+   * @param {ContextResolvable} source The source
+   * @returns {Context}
+   * @throws {TypeError} if `source` is invalid or has no guild
+   */
+  static from(source) {
+    if (source instanceof Context) return source;
+    if (!source || typeof source !== "object") throw new TypeError("Expected a Discord.Message, an interaction or context options.");
+    // Discord.Message
+    if (source.author && source.channel && typeof source.content === "string") {
+      return new Context({ guild: source.guild, textChannel: source.channel, member: source.member, user: source.author, message: source });
+    }
+    // Discord.js v13 interactions
+    if (source.user && typeof source.isCommand === "function") {
+      return new Context({ guild: source.guild, textChannel: source.channel, member: source.member, user: source.user, interaction: source });
+    }
+    let { voiceChannel, member, textChannel, user } = source;
+    let guild = source.guild || (voiceChannel && voiceChannel.guild) || (textChannel && textChannel.guild) || (member && member.guild);
+    return new Context({ guild, voiceChannel, textChannel: textChannel || source.channel, member, user: user || source.author });
+  }
+}
+
+module.exports = Context;
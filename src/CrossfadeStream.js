@@ -0,0 +1,158 @@
+const { Readable } = require("stream");
+
+// 16-bit signed stereo PCM at 48kHz
+const FRAME_SIZE = 4;
+const FRAMES_PER_MS = 48;
+// Maximum buffered bytes of a source before pausing it (1 second)
+const MAX_BUFFER = 48000 * FRAME_SIZE;
+
+const clamp = sample => Math.max(-32768, Math.min(32767, Math.round(sample)));
+
+/**
+ * `@2.9.0` A 16-bit signed stereo PCM stream playing its sources one after another.
+ * The end of a source can be mixed with the beginning of the next one with {@link CrossfadeStream#crossfade|crossfade()}.
+ * @private
+ * @ignore
+ * @extends Readable
+ */
+class CrossfadeStream extends Readable {
+  /**
+   * @param {Readable} source The first PCM source
+   */
+  constructor(source) {
+    super();
+    /**
+     * Playing sources, the next one is mixed in while crossfading
+     * @type {Array<{stream: Readable, buffer: Buffer, ended: boolean}>}
+     */
+    this.sources = [];
+    this.fadeFrames = 0;
+    this.fadedFrames = 0;
+    this.reading = false;
+    this.ended = false;
+    this._addSource(source);
+  }
+
+  /**
+   * Whether or not the stream is mixing two sources
+   * @type {boolean}
+   */
+  get crossfading() {
+    return this.sources.length > 1;
+  }
+
+  /**
+   * Fade out the playing source while fading in `source`
+   * @param {Readable} source The next PCM source
+   * @param {number} duration Crossfade duration in milliseconds
+   * @returns {boolean} `false` if the playing source has already ended
+   */
+  crossfade(source, duration) {
+    if (this.destroyed || this.ended) return false;
+    if (this.crossfading) this._removeSource(this.sources[1]);
+    this.fadeFrames = Math.max(Math.round(duration * FRAMES_PER_MS), 1);
+    this.fadedFrames = 0;
+    this._addSource(source);
+    this._flush();
+    return true;
+  }
+
+  _addSource(stream) {
+    const source = { stream, buffer: Buffer.alloc(0), ended: false };
+    const end = () => {
+      source.ended = true;
+      this._flush();
+    };
+    stream.on("data", chunk => {
+      source.buffer = source.buffer.length ? Buffer.concat([source.buffer, chunk]) : chunk;
+      this._flush();
+    }).once("end", end).once("close", end);
+    this.sources.push(source);
+    this._updateFlow();
+  }
+
+  _removeSource(source) {
+    this.sources = this.sources.filter(s => s !== source);
+    if (!source.ended) try { source.stream.destroy() } catch { }
+  }
+
+  _read() {
+    this.reading = true;
+    this._flush();
+  }
+
+  _output(chunk) {
+    if (chunk.length && !this.push(chunk)) this.reading = false;
+  }
+
+  /**
+   * Pause the sources which should not be read
+   * @private
+   */
+  _updateFlow() {
+    for (const source of this.sources) {
+      if (this.reading && source.buffer.length < MAX_BUFFER) source.stream.resume();
+      else source.stream.pause();
+    }
+  }
+
+  /**
+   * Push the buffered audio, mixing the sources while crossfading
+   * @private
+   */
+  _flush() {
+    if (this.destroyed) return;
+    let [current, next] = this.sources;
+    if (next && next.ended && !next.buffer.length) {
+      // The next source is shorter than the crossfade or failed
+      this._removeSource(next);
+      next = null;
+    }
+    if (next) {
+      if (current.ended && !current.buffer.length) {
+        this.sources.shift();
+        this._flush();
+        return;
+      }
+      let frames = Math.min(current.buffer.length, next.buffer.length, (this.fadeFrames - this.fadedFrames) * FRAME_SIZE) / FRAME_SIZE | 0;
+      if (frames) {
+        let chunk = Buffer.allocUnsafe(frames * FRAME_SIZE);
+        for (let i = 0; i < frames; i++) {
+          // Equal power crossfade
+          let progress = (this.fadedFrames + i) / this.fadeFrames * Math.PI / 2;
+          let fadeOut = Math.cos(progress), fadeIn = Math.sin(progress);
+          for (let offset = i * FRAME_SIZE; offset < (i + 1) * FRAME_SIZE; offset += 2) {
+            chunk.writeInt16LE(clamp((current.buffer.readInt16LE(offset) * fadeOut) + (next.buffer.readInt16LE(offset) * fadeIn)), offset);
+          }
+        }
+        this.fadedFrames += frames;
+        current.buffer = current.buffer.slice(frames * FRAME_SIZE);
+        next.buffer = next.buffer.slice(frames * FRAME_SIZE);
+        this._output(chunk);
+      }
+      if (this.fadedFrames >= this.fadeFrames) {
+        this._removeSource(current);
+        this._flush();
+      }
+    } else if (current) {
+      // Keep the buffer aligned on frames to be mixed later
+      let length = current.ended ? current.buffer.length : current.buffer.length - (current.buffer.length % FRAME_SIZE);
+      let chunk = current.buffer.slice(0, length);
+      current.buffer = current.buffer.slice(length);
+      this._output(chunk);
+      if (current.ended) {
+        this.sources.shift();
+        this.ended = true;
+        this.push(null);
+      }
+    }
+    this._updateFlow();
+  }
+
+  _destroy(error, callback) {
+    for (const source of this.sources) this._removeSource(source);
+    callback(error);
+  }
+}
+
+module.exports = CrossfadeStream;
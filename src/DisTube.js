@@ -1,27 +1,105 @@
 const ytdl = require("@distube/ytdl"),
   ytsr = require("@distube/ytsr"),
-  ytpl = require("@distube/ytpl"),
   { EventEmitter } = require("events"),
   Queue = require("./Queue"),
   Song = require("./Song"),
   SearchResult = require("./SearchResult"),
   Playlist = require("./Playlist"),
+  ExtractorPlugin = require("./ExtractorPlugin"),
+  YouTubePlugin = require("./plugins/YouTubePlugin"),
+  YouTubeDLPlugin = require("./plugins/YouTubeDLPlugin"),
+  LocalFilePlugin = require("./plugins/LocalFilePlugin"),
+  QueueStore = require("./QueueStore"),
+  Context = require("./Context"),
+  MetadataCache = require("./MetadataCache"),
+  MemoryCache = require("./caches/MemoryCache"),
+  VoiceBackend = require("./VoiceBackend"),
+  LegacyVoiceBackend = require("./voice/LegacyVoiceBackend"),
+  DiscordVoiceBackend = require("./voice/DiscordVoiceBackend"),
+  CrossfadeStream = require("./CrossfadeStream"),
+  JSONFileStore = require("./stores/JSONFileStore"),
+  { parsePlaylist } = require("./playlistFile"),
+  { parseEqualizer, equalizerFilters, presets: equalizerPresets } = require("./equalizer"),
+  { parseTime } = require("./duration"),
+  { loudnessGain, parseLoudnessMode, loudnormFilter } = require("./loudness"),
+  { parseChapters } = require("./chapters"),
+  { parseSegments } = require("./segments"),
+  { isURL } = require("./util"),
   Discord = require("discord.js"),
-  youtube_dl = require("@distube/youtube-dl"),
-  { promisify } = require("util");
-const youtube_dlOptions = ["--no-warnings", "--force-ipv4"];
-youtube_dl.getInfo = promisify(youtube_dl.getInfo);
-
-const isURL = string => {
-  if (string.includes(" ")) return false;
-  try {
-    const url = new URL(string);
-    if (!["https:", "http:"].includes(url.protocol) ||
-      url.origin === "null" || !url.host
-    ) return false;
-  } catch { return false }
-  return true;
-}
+  fs = require("fs"),
+  path = require("path"),
+  { pathToFileURL } = require("url");
+
+// Discord.js v12 has its own voice connections and another awaitMessages() signature
+const legacyDiscord = Discord.version.split(".")[0] === "12";
+
+// VoiceState#channelID is renamed to channelId in discord.js v13
+const stateChannelID = state => (state.channelId !== undefined ? state.channelId : state.channelID);
+
+const awaitMessages = (channel, filter, options) => (legacyDiscord ?
+  channel.awaitMessages(filter, options) :
+  channel.awaitMessages(Object.assign({ filter }, options)));
+
+/**
+ * `@2.9.0` Equalizer settings.
+ * @typedef {Object} Equalizer
+ * @prop {number[]} [bands] Gains in dB (-20 to 20) of a 10-band equalizer
+ * (31, 62, 125, 250, 500, 1k, 2k, 4k, 8k, 16k Hz) or a 15-band equalizer
+ * (25, 40, 63, 100, 160, 250, 400, 630, 1k, 1.6k, 2.5k, 4k, 6.3k, 10k, 16k Hz)
+ * @prop {EqualizerPreset} [preset] A preset used if `bands` is not set
+ * @prop {number} [bass=0] Bass gain in dB (-20 to 20)
+ * @prop {number} [treble=0] Treble gain in dB (-20 to 20)
+ */
+/**
+ * `@2.9.0` Loudness normalization modes.
+ * * `"loudnorm"`: Normalize the songs to -16 LUFS with the ffmpeg `loudnorm` filter (EBU R128)
+ * * `"replaygain"`: Apply the {@link Song#gain} of the songs, songs without gain are not changed
+ * @typedef {("loudnorm"|"replaygain")} LoudnessNormalization
+ */
+const atempo = tempo => {
+  let filters = [];
+  for (; tempo > 2; tempo /= 2) filters.push("atempo=2");
+  for (; tempo < 0.5; tempo /= 0.5) filters.push("atempo=0.5");
+  // Keep the filter string stable, e.g. 1.5 instead of 1.4999999999999998
+  tempo = Number(tempo.toFixed(6));
+  if (tempo !== 1) filters.push(`atempo=${tempo}`);
+  return filters;
+};
+
+// How long before the end of the playing song (and the crossfade) the next song stream is prefetched (in milliseconds)
+const streamPrefetchTime = 10000;
+
+// Pending info requests of the songs, shared by the playing song and the prefetched ones
+const infoRequests = new WeakMap();
+
+// Last data saved to the queue store of the queues, unchanged queues are not saved again
+const savedQueues = new WeakMap();
+
+// Voice connections DisTube listens to, a connection is reused by the next queues of its guild
+const handledConnections = new WeakSet();
+
+// Cached video info are dropped 5 minutes before their stream urls expire
+const streamURLExpiryMargin = 300000;
+
+/**
+ * Get how long a video info can be cached before its stream urls expire, e.g. `expire=1600000000` of googlevideo urls
+ * @param {Object|Object[]} info ytdl or youtube-dl video info
+ * @returns {?number} Milliseconds, `null` if the info has no expiring url
+ */
+const streamURLsTTL = info => {
+  let expires = [];
+  for (const i of Array.isArray(info) ? info : [info]) {
+    if (!i || typeof i !== "object") continue;
+    let urls = [i.url].concat(Array.isArray(i.formats) ? i.formats.map(f => f.url) : []);
+    for (const url of urls) {
+      let match = typeof url === "string" && url.match(/[?&/]expire[=/](\d+)/);
+      if (match) expires.push(Number(match[1]) * 1000);
+    }
+  }
+  if (!expires.length) return null;
+  return Math.min(...expires) - Date.now() - streamURLExpiryMargin;
+};
+
 const parseNumber = string => (typeof string === "string" ? Number(string.replace(/\D+/g, "")) : Number(string)) || 0;
 
 /**
@@ -38,6 +116,40 @@ const parseNumber = string => (typeof string === "string" ? Number(string.replac
  * @prop {boolean} [youtubeDL=true] `@2.8.0` Whether or not using youtube-dl.
  * @prop {boolean} [updateYouTubeDL=true] `@2.8.0` Whether or not updating youtube-dl automatically.
  * @prop {Object.<string, string>} [customFilters] `@2.7.0` Override or add more ffmpeg filters. Example: `{ "Filter name": "Filter value", "8d": "apulsator=hz=0.075" }`
+ * @prop {string} [localMediaRoot=null] `@2.9.0` Directory which `file://` urls can be played from. Directories are played as a playlist. Local files are disabled if not set.
+ * @prop {QueueStore} [queueStore=null] `@2.9.0` Store to persist the guild queues, see {@link DisTube#restoreQueues}. Queues are not persisted if not set.
+ * @prop {number} [queueStoreInterval=15000] `@2.9.0` How often (in milliseconds) the playing position of the queues is saved to {@link DisTubeOptions}.queueStore.
+ * @prop {number} [historySize=50] `@2.9.0` Maximum number of played songs kept in {@link Queue#previousSongs}.
+ * @prop {ExtractorPlugin[]} [plugins=[]] `@2.9.0` Extractor plugins to resolve more sources. They are checked in order before the built-in YouTube and youtube-dl ones.
+ * @prop {number} [fadeIn=0] `@2.9.0` Duration (in milliseconds) of the fade-in when a song starts or the queue is resumed.
+ * @prop {number} [fadeOut=0] `@2.9.0` Duration (in milliseconds) of the fade-out when the queue is paused or stopped or a song is skipped.
+ * @prop {number} [crossfade=0] `@2.9.0` Duration (in milliseconds) of the crossfade between songs.
+ * The next song is prefetched and mixed with the end of the playing one. Live streams are not crossfaded.
+ * @prop {boolean|LoudnessNormalization} [normalizeLoudness=false] `@2.9.0` Normalize the loudness of the songs, `true` is `"loudnorm"`.
+ * It is applied with the filters, before {@link Queue#volume}.
+ * @prop {number} [defaultVolume=50] `@2.9.0` {@link Queue#volume} of the new queues.
+ * @prop {number} [minVolume=0] `@2.9.0` Default {@link Queue#minVolume} of the new queues.
+ * @prop {number} [maxVolume=200] `@2.9.0` Default {@link Queue#maxVolume} of the new queues.
+ * @prop {?function(Song): (Segment[]|Promise<Segment[]>)} [segmentProvider=null] `@2.9.0` Get the segments of a song
+ * (e.g. from a SponsorBlock database dump keyed by {@link Song#id}) when it starts playing. See {@link Song#segments}
+ * @prop {string[]} [skipSegments=["sponsor"]] `@2.9.0` Categories of the segments skipped automatically.
+ * @prop {number} [streamRetries=3] `@2.9.0` How many times a song is played again from where it stopped after a stream error
+ * (e.g. an expired stream URL) before skipping it. See {@link DisTube#event:streamRetry}
+ * @prop {number} [streamRetryDelay=1000] `@2.9.0` Delay (in milliseconds) before the first retry, doubled after each one.
+ * @prop {VoiceBackend} [voiceBackend] `@2.9.0` Voice backend joining the voice channels and playing the songs,
+ * a {@link LegacyVoiceBackend} with discord.js v12 and a {@link DiscordVoiceBackend} (requires `@discordjs/voice`) with discord.js v13 by default.
+ * @prop {MetadataCache|boolean} [metadataCache=false] `@2.9.0` Cache of the video info and search results shared between guilds.
+ * `true` uses a {@link MemoryCache}, `false` disables it. Video info are not kept after their stream urls expire.
+ * Each cached video info is a full ytdl or youtube-dl info with all its formats, mind the memory usage when opting in.
+ * @prop {number} [prefetchSongs=1] `@2.9.0` How many upcoming songs are resolved in the background, so the next songs start without delay.
+ * Songs which cannot be resolved are removed from the queue with {@link DisTube#event:error} before they are reached.
+ * The stream of the next song is also created a few seconds before the playing one ends. `0` to disable.
+ * @prop {number} [searchResultCount=10] `@2.9.0` How many results can be chosen from when {@link DisTubeOptions}.searchSongs is `true`.
+ * @prop {number} [searchTimeout=60000] `@2.9.0` How long (in milliseconds) DisTube waits for a search result to be chosen.
+ * @prop {boolean} [searchAnyListener=false] `@2.9.0` Whether or not anyone listening in the voice channel can choose a search result,
+ * only the user of the command can if `false`.
+ * @prop {?SearchResultChooser} [searchChooser=null] `@2.9.0` Let the user choose a search result, e.g. with buttons, a select menu or reactions.
+ * The user types the number of the result in the text channel if not set.
  */
 const DisTubeOptions = {
   highWaterMark: 1 << 24,
@@ -51,8 +163,58 @@ const DisTubeOptions = {
   youtubeDL: true,
   updateYouTubeDL: true,
   customFilters: {},
+  localMediaRoot: null,
+  queueStore: null,
+  queueStoreInterval: 15000,
+  historySize: 50,
+  plugins: [],
+  fadeIn: 0,
+  fadeOut: 0,
+  crossfade: 0,
+  normalizeLoudness: false,
+  defaultVolume: 50,
+  minVolume: 0,
+  maxVolume: 200,
+  segmentProvider: null,
+  skipSegments: ["sponsor"],
+  streamRetries: 3,
+  streamRetryDelay: 1000,
+  prefetchSongs: 1,
+  metadataCache: false,
+  voiceBackend: null,
+  searchResultCount: 10,
+  searchTimeout: 60000,
+  searchAnyListener: false,
+  searchChooser: null,
 };
 
+/**
+ * `@2.9.0` Choose one of the search results, see {@link DisTubeOptions}.searchChooser.
+ * It is called after {@link DisTube#event:searchResult} and cancels the search if it resolves `null`, rejects or times out.
+ * @typedef {function(Context, SearchResult[], SearchChooserOptions): (?SearchResult|Promise<?SearchResult>)} SearchResultChooser
+ * @example
+ * // discord.js v13 select menu
+ * const distube = new DisTube(client, {
+ *     searchSongs: true,
+ *     searchChooser: async (context, results, { time, filter }) => {
+ *         const menu = new Discord.MessageSelectMenu().setCustomId("search").addOptions(
+ *             results.map((result, i) => ({ label: result.name.slice(0, 100), description: result.formattedDuration, value: String(i) }))
+ *         );
+ *         const reply = await context.channel.send({ content: "Choose a song", components: [new Discord.MessageActionRow().addComponents(menu)] });
+ *         const interaction = await reply.awaitMessageComponent({ time, filter: i => filter(i.user) }).catch(() => null);
+ *         reply.delete().catch(() => { });
+ *         return interaction ? results[Number(interaction.values[0])] : null;
+ *     },
+ * });
+ */
+
+/**
+ * `@2.9.0` Passed to a {@link SearchResultChooser}.
+ * @typedef {Object} SearchChooserOptions
+ * @prop {number} time How long (in milliseconds) the result can be chosen, {@link DisTubeOptions}.searchTimeout
+ * @prop {function(Discord.User): boolean} filter Whether or not a user can choose the result, see {@link DisTubeOptions}.searchAnyListener
+ */
+
 /**
  * DisTube audio filters.
  * @typedef {("3d"|"bassboost"|"echo"|"karaoke"|"nightcore"|"vaporwave"|"flanger"|"gate"|"haas"|"reverse"|"surround"|"mcompand"|"phaser"|"tremolo"|"earwax"|string)} Filter
@@ -147,28 +309,66 @@ class DisTube extends EventEmitter {
 
     this.requestOptions = this.options.youtubeCookie ? { headers: { cookie: this.options.youtubeCookie, "x-youtube-identity-token": this.options.youtubeIdentityToken } } : undefined;
 
+    /**
+     * `@2.9.0` Cache of the video info and search results, `null` if disabled. See {@link MetadataCache#stats}
+     * @type {?MetadataCache}
+     */
+    this.cache = this.options.metadataCache === true ? new MemoryCache() : this.options.metadataCache || null;
+    if (this.cache && !(this.cache instanceof MetadataCache)) throw new TypeError("metadataCache must be an instance of MetadataCache.");
+
+    /**
+     * `@2.9.0` Voice backend joining the voice channels and playing the songs
+     * @type {VoiceBackend}
+     */
+    this.voice = this.options.voiceBackend || (legacyDiscord ? new LegacyVoiceBackend() : new DiscordVoiceBackend());
+    if (!(this.voice instanceof VoiceBackend)) throw new TypeError("voiceBackend must be an instance of VoiceBackend.");
+
+    /**
+     * `@2.9.0` Registered extractor plugins, the built-in ones are always last.
+     * @type {ExtractorPlugin[]}
+     */
+    this.plugins = [new YouTubePlugin()];
+    if (this.options.localMediaRoot) this.plugins.push(new LocalFilePlugin(this.options.localMediaRoot));
+    if (this.options.youtubeDL) this.plugins.push(new YouTubeDLPlugin());
+    for (let plugin of this.plugins) plugin.init(this);
+    if (Array.isArray(otp.plugins)) otp.plugins.forEach(plugin => this.registerPlugin(plugin));
+
     client.on("voiceStateUpdate", (oldState, newState) => {
-      if (newState && newState.id === client.user.id && !newState.channelID) {
-        let queue = this.guildQueues.find(gQueue => gQueue.connection && gQueue.connection.channel.id === oldState.channelID);
-        if (!queue) return;
-        let guildID = queue.connection.channel.guild.id;
-        try { this.stop(guildID) } catch { this._deleteQueue(guildID) }
+      if (newState && newState.id === client.user.id && !stateChannelID(newState)) {
+        let queue = this.guildQueues.find(gQueue => gQueue.connection && gQueue.connection.channel.id === stateChannelID(oldState));
+        if (queue) this._handleDisconnect(queue);
       }
       if (this.options.leaveOnEmpty && oldState && oldState.channel) {
-        let queue = this.guildQueues.find(gQueue => gQueue.connection && gQueue.connection.channel.id === oldState.channelID);
+        let queue = this.guildQueues.find(gQueue => gQueue.connection && gQueue.connection.channel.id === stateChannelID(oldState));
         if (queue && this._isVoiceChannelEmpty(queue)) {
           setTimeout(() => {
             let guildID = queue.connection.channel.guild.id;
             if (this.guildQueues.has(guildID) && this._isVoiceChannelEmpty(queue)) {
-              queue.connection.channel.leave();
-              this.emit("empty", queue.initMessage);
-              this._deleteQueue(queue.initMessage);
+              // Deleted before disconnecting, it is not a disconnect event
+              this._deleteQueue(queue.context);
+              queue.connection.disconnect();
+              this.emit("empty", queue.context);
             }
           }, 60000)
         }
       }
     })
 
+    parseLoudnessMode(this.options.normalizeLoudness);
+    if (this.options.segmentProvider && typeof this.options.segmentProvider !== "function") throw new TypeError("segmentProvider must be a function.");
+    if (!Array.isArray(this.options.skipSegments)) throw new TypeError("skipSegments must be an array of segment categories.");
+    if (this.options.searchChooser && typeof this.options.searchChooser !== "function") throw new TypeError("searchChooser must be a function.");
+    if (!Number.isInteger(this.options.searchResultCount) || this.options.searchResultCount < 1) throw new RangeError("searchResultCount must be a positive integer.");
+
+    // Saves the playing position of the queues to the queue store, cleared by destroy()
+    this.queueStoreTimer = null;
+    if (this.options.queueStore) {
+      if (!(this.options.queueStore instanceof QueueStore)) throw new TypeError("queueStore must be an instance of QueueStore.");
+      this.queueStoreTimer = setInterval(() => {
+        for (let queue of this.guildQueues.values()) if (queue.playing) this._saveQueue(queue);
+      }, this.options.queueStoreInterval).unref();
+    }
+
     if (this.options.updateYouTubeDL) {
       require("@distube/youtube-dl/lib/downloader")()
         .then(message => console.log(`[DisTube] ${message}`))
@@ -177,10 +377,63 @@ class DisTube extends EventEmitter {
     }
   }
 
+  /**
+   * `@2.9.0` Stop saving the queues to {@link DisTubeOptions}.queueStore periodically, before shutting down the bot.
+   * The changed queues are saved one last time, so they can be restored with {@link DisTube#restoreQueues}.
+   * @async
+   * @returns {Promise<void>}
+   * @example
+   * process.on("SIGINT", async () => {
+   *     await distube.destroy();
+   *     client.destroy();
+   *     process.exit();
+   * });
+   */
+  async destroy() {
+    clearInterval(this.queueStoreTimer);
+    this.queueStoreTimer = null;
+    await Promise.all([...this.guildQueues.values()].map(queue => this._saveQueue(queue)));
+  }
+
+  /**
+   * `@2.9.0` Register an extractor plugin.
+   * Custom plugins are checked in registration order, before the built-in ones.
+   * @param {ExtractorPlugin} plugin The plugin to register
+   * @returns {DisTube}
+   * @throws {TypeError} If `plugin` is not an {@link ExtractorPlugin} or its name is already registered
+   * @example
+   * distube.registerPlugin(new IcecastPlugin());
+   */
+  registerPlugin(plugin) {
+    if (!(plugin instanceof ExtractorPlugin)) throw new TypeError("Plugin must be an instance of ExtractorPlugin.");
+    if (this.plugins.some(p => p.name === plugin.name)) throw new TypeError(`A plugin named ${plugin.name} is already registered.`);
+    plugin.init(this);
+    let builtin = this.plugins.findIndex(p => p instanceof YouTubePlugin);
+    this.plugins.splice(builtin, 0, plugin);
+    return this;
+  }
+
+  /**
+   * Find the plugin which supports the url
+   * @async
+   * @private
+   * @ignore
+   * @param {string} url The url to check
+   * @param {boolean} [playlist=false] Find a plugin supporting the url as a playlist
+   * @returns {Promise<?ExtractorPlugin>}
+   */
+  async _getPlugin(url, playlist = false) {
+    if (typeof url !== "string") return null;
+    for (let plugin of this.plugins) {
+      if (await (playlist ? plugin.validatePlaylist(url) : plugin.validate(url))) return plugin;
+    }
+    return null;
+  }
+
   /**
    * Resolve a Song
    * @async
-   * @param {Discord.Message} message The message from guild channel
+   * @param {Context} message The context of the command
    * @param {string|Song} song Youtube url | Search string | {@link Song}
    * @private
    * @ignore
@@ -189,22 +442,22 @@ class DisTube extends EventEmitter {
   async _resolveSong(message, song) {
     if (!song) return null;
     if (song instanceof Song) return song;
-    if (song instanceof SearchResult) return new Song(await ytdl.getInfo(song.url, { requestOptions: this.requestOptions }), message.author, true);
+    if (song instanceof SearchResult) return this._resolveSong(message, song.url);
     if (typeof song === "object") return new Song(song, message.author);
-    if (ytdl.validateURL(song)) return new Song(await ytdl.getInfo(song, { requestOptions: this.requestOptions }), message.author, true);
-    if (isURL(song)) {
-      if (!this.options.youtubeDL) throw new Error("Not Supported URL!");
-      let info = await youtube_dl.getInfo(song, youtube_dlOptions).catch(e => { throw new Error(`[youtube-dl] ${e.stderr || e}`) });
-      if (Array.isArray(info) && info.length > 0) return info.map(i => new Song(i, message.author));
-      return new Song(info, message.author);
+    let plugin = await this._getPlugin(song);
+    if (plugin) {
+      let resolved = await plugin.resolve(song, message.author);
+      for (let s of Array.isArray(resolved) ? resolved : [resolved]) if (s && !s.plugin) s.plugin = plugin;
+      return resolved;
     }
+    if (isURL(song) || song.startsWith("file:")) throw new Error("Not Supported URL!");
     return this._resolveSong(message, await this._searchSong(message, song));
   }
 
   /**
    * Handle a Song or an array of Song
    * @async
-   * @param {Discord.Message} message The message from guild channel
+   * @param {Context} message The context of the command
    * @param {Song|SearchResult} song {@link Song} | {@link SearchResult}
    * @private
    * @ignore
@@ -225,8 +478,12 @@ class DisTube extends EventEmitter {
   /**
    * Play / add a song or playlist from url. Search and play a song if it is not a valid url.
    * @async
-   * @param {Discord.Message} message The message from guild channel
+   * @param {ContextResolvable} message The message, interaction or context of the command
    * @param {string|Song|SearchResult} song Youtube url | Search string | {@link Song} | {@link SearchResult}
+   * | `file://` url inside {@link DisTubeOptions}.localMediaRoot
+   * @param {Object} [clip] `@2.9.0` Play only a part of the song, see {@link Song#setClip}. Ignored for playlists
+   * @param {number|string} [clip.startTime] Where the song starts, in seconds or a string like `"1:30"`
+   * @param {number|string} [clip.endTime] Where the song ends
    * @example
    * client.on('message', (message) => {
    *     if (!message.content.startsWith(config.prefix)) return;
@@ -234,13 +491,16 @@ class DisTube extends EventEmitter {
    *     const command = args.shift();
    *     if (command == "play")
    *         distube.play(message, args.join(" "));
+   *     if (command == "playclip") // playclip 1:00 2:30 never gonna give you up
+   *         distube.play(message, args.slice(2).join(" "), { startTime: args[0], endTime: args[1] });
    * });
    */
-  async play(message, song) {
+  async play(message, song, clip) {
     if (!song) return;
+    message = this._getContext(message);
     try {
-      if (ytpl.validateID(song)) await this._handlePlaylist(message, song);
-      else await this._handleSong(message, await this._resolveSong(message, song));
+      if (await this._getPlugin(song, true)) await this._handlePlaylist(message, song);
+      else await this._handleSong(message, this._clipSong(await this._resolveSong(message, song), clip));
     } catch (e) {
       e.message = `play(${song}) encountered:\n${e.message}`;
       this._emitError(message, e);
@@ -250,8 +510,11 @@ class DisTube extends EventEmitter {
   /**
    * `@2.0.0` Skip the playing song and play a song or playlist
    * @async
-   * @param {Discord.Message} message The message from guild channel
+   * @param {ContextResolvable} message The message, interaction or context of the command
    * @param {string|Song|SearchResult} song Youtube url | Search string | {@link Song} | {@link SearchResult}
+   * @param {Object} [clip] `@2.9.0` Play only a part of the song, see {@link DisTube#play|play()}
+   * @param {number|string} [clip.startTime] Where the song starts
+   * @param {number|string} [clip.endTime] Where the song ends
    * @example
    * client.on('message', (message) => {
    *     if (!message.content.startsWith(config.prefix)) return;
@@ -261,24 +524,41 @@ class DisTube extends EventEmitter {
    *         distube.playSkip(message, args.join(" "));
    * });
    */
-  async playSkip(message, song) {
+  async playSkip(message, song, clip) {
     if (!song) return;
+    message = this._getContext(message);
     try {
-      if (ytpl.validateID(song)) await this._handlePlaylist(message, song, true);
-      else await this._handleSong(message, await this._resolveSong(message, song), true);
+      if (await this._getPlugin(song, true)) await this._handlePlaylist(message, song, true);
+      else await this._handleSong(message, this._clipSong(await this._resolveSong(message, song), clip), true);
     } catch (e) {
       e.message = `playSkip(${song}) encountered:\n${e.message}`;
       this._emitError(message, e);
     }
   }
 
+  /**
+   * Set the clip of a resolved song, keeping the timestamp of its url if `startTime` is not set
+   * @private
+   * @ignore
+   * @param {Song|Song[]} song The resolved song
+   * @param {Object} [clip] `startTime` and `endTime` of the clip
+   * @returns {Song|Song[]} The song
+   */
+  _clipSong(song, clip) {
+    if (!clip || !(song instanceof Song)) return song;
+    let { startTime, endTime } = clip;
+    if (startTime === undefined || startTime === null) startTime = song.startTime;
+    if (endTime === undefined) endTime = song.endTime;
+    return song.setClip(startTime, endTime);
+  }
+
   /**
    * `@2.1.0` Play or add array of Youtube video urls.
    * {@link DisTube#event:playList} or {@link DisTube#event:addList} will be emitted
    * with `playlist`'s properties include `properties` parameter's properties such as
    * `user`, `songs`, `duration`, `formattedDuration`, `thumbnail` like {@link Playlist}
    * @async
-   * @param {Discord.Message} message The message from guild channel
+   * @param {ContextResolvable} message The message, interaction or context of the command
    * @param {string[]} urls Array of Youtube url
    * @param {Object} [properties={}] Additional properties such as `name`
    * @param {boolean} [playSkip=false] Whether or not play this playlist instantly
@@ -288,31 +568,124 @@ class DisTube extends EventEmitter {
    */
   async playCustomPlaylist(message, urls, properties = {}, playSkip = false) {
     if (!urls.length) return;
+    message = this._getContext(message);
+    try {
+      let results = await this._resolveEntries(message, urls.filter(url => isURL(url)));
+      await this._handlePlaylist(message, this._createEntriesPlaylist(message, results, properties), playSkip);
+    } catch (e) {
+      this._emitError(message, e);
+    }
+  }
+
+  /**
+   * `@2.9.0` Play or add a M3U / M3U8, PLS or XSPF playlist file.
+   * Each entry is resolved like {@link DisTube#play|play()}, relative entries are resolved against the file location.
+   * `#EXTINF` (M3U), `Title` / `Length` (PLS) and `title` / `duration` (XSPF) are used
+   * when the entry source does not provide a name or a duration.
+   * A `#t=start,end` media fragment in an entry location plays only that part of the song, see {@link Song#setClip}.
+   * {@link DisTube#event:playList} or {@link DisTube#event:addList} will be emitted with a {@link Playlist}
+   * which has a `failed` property listing the entries which cannot be resolved: `{ entry: string, error: Error }[]`
+   * @async
+   * @param {ContextResolvable} message The message, interaction or context of the command
+   * @param {string|Buffer} file Path to the playlist file | The playlist file content
+   * @param {Object} [properties={}] Additional properties such as `name`
+   * @param {boolean} [playSkip=false] Whether or not play this playlist instantly
+   * @example
+   *     distube.playPlaylistFile(message, "./playlists/chill.m3u8");
+   *     distube.on("addList", (message, queue, playlist) => {
+   *         if (playlist.failed && playlist.failed.length) message.channel.send(`Skipped ${playlist.failed.length} unavailable songs`);
+   *     });
+   */
+  async playPlaylistFile(message, file, properties = {}, playSkip = false) {
+    message = this._getContext(message);
     try {
-      let songs = urls.filter(url => isURL(url)).map(url => this._resolveSong(message, url).catch(() => { }));
-      songs = (await Promise.all(songs)).filter(song => song);
-      let playlist = new Playlist(songs, message.author, properties);
-      await this._handlePlaylist(message, playlist, playSkip);
+      let content = file, base;
+      if (typeof file === "string") {
+        content = await fs.promises.readFile(file);
+        base = pathToFileURL(path.resolve(file)).href;
+      }
+      let { name, entries } = parsePlaylist(content, base);
+      if (!entries.length) throw new Error("The playlist file has no entry!");
+      let results = await this._resolveEntries(message, entries.map(entry => entry.location));
+      results.forEach((result, i) => {
+        if (!(result.song instanceof Song)) return;
+        let { title, duration, startTime, endTime } = entries[i];
+        if (!result.song.name && title) result.song.name = title;
+        if (startTime === null && endTime === null) {
+          if (!result.song.duration && duration) result.song.duration = duration;
+          return;
+        }
+        try {
+          this._clipSong(result.song, { startTime, endTime });
+        } catch (error) {
+          Object.assign(result, { song: null, error });
+        }
+      });
+      if (name) properties = Object.assign({ name }, properties);
+      await this._handlePlaylist(message, this._createEntriesPlaylist(message, results, properties), playSkip);
     } catch (e) {
+      e.message = `playPlaylistFile(${typeof file === "string" ? file : "Buffer"}) encountered:\n${e.message}`;
       this._emitError(message, e);
     }
   }
 
+  /**
+   * Resolve playlist entries, keeping the failed ones
+   * @async
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {string[]} urls Entry urls
+   * @returns {Promise<Array<{entry: string, song: ?(Song|Song[]), error: ?Error}>>}
+   */
+  _resolveEntries(message, urls) {
+    return Promise.all(urls.map(async entry => {
+      try {
+        if (!isURL(entry) && !entry.startsWith("file:")) throw new Error("Not Supported URL!");
+        let song = await this._resolveSong(message, entry);
+        if (!song) throw new Error("No result!");
+        return { entry, song, error: null };
+      } catch (error) {
+        return { entry, song: null, error };
+      }
+    }));
+  }
+
+  /**
+   * Create a Playlist from resolved entries
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {Array<{entry: string, song: ?(Song|Song[]), error: ?Error}>} results Resolved entries
+   * @param {Object} properties Additional properties
+   * @returns {Playlist}
+   */
+  _createEntriesPlaylist(message, results, properties) {
+    let songs = [].concat(...results.map(result => result.song || []));
+    let failed = results.filter(result => result.error).map(({ entry, error }) => ({ entry, error }));
+    if (!songs.length) {
+      throw new Error(`Cannot resolve any song of the playlist.${failed.map(f => `\n${f.entry}: ${f.error.message}`).join("")}`);
+    }
+    return new Playlist(songs, message.author, Object.assign({}, properties, { failed }));
+  }
+
   /**
    * PLay / add a playlist
    * @async
    * @private
    * @ignore
-   * @param {Discord.Message} message The message from guild channel
-   * @param {string|Song[]|Playlist} arg2 Youtube playlist url | a Playlist
+   * @param {Context} message The context of the command
+   * @param {string|Song[]|Playlist} arg2 Playlist url | a Playlist
    * @param {boolean} skip Skip the current song
    */
   async _handlePlaylist(message, arg2, skip = false) {
     let playlist;
     if (typeof arg2 === "object") playlist = arg2; // Song[] or Playlist
     else if (typeof arg2 === "string") {
-      playlist = await ytpl(arg2, { limit: Infinity });
-      playlist.items = playlist.items.filter(v => !v.thumbnail.includes("no_thumbnail")).map(v => new Song(v, message.author, true));
+      let plugin = await this._getPlugin(arg2, true);
+      if (!plugin) throw Error("Invalid Playlist");
+      playlist = await plugin.resolvePlaylist(arg2, message.author);
+      for (let song of playlist ? playlist.songs || playlist.items || [] : []) if (!song.plugin) song.plugin = plugin;
     }
     if (!playlist) throw Error("Invalid Playlist");
     if (!(playlist instanceof Playlist)) playlist = new Playlist(playlist, message.author)
@@ -343,7 +716,13 @@ class DisTube extends EventEmitter {
    */
   async search(string, retried = false) {
     try {
-      let search = await ytsr(string, { limit: 15 });
+      let limit = Math.max(15, this.options.searchResultCount);
+      let search = await this._cached(`ytsr:${limit}:${string}`, async () => {
+        let result = await ytsr(string, { limit });
+        // Empty results are not cached
+        if (!result.items.length) throw Error("No result!");
+        return result;
+      });
       let results = search.items.map(i => new SearchResult(i));
       if (results.length === 0) throw Error("No result!");
       return results;
@@ -358,84 +737,241 @@ class DisTube extends EventEmitter {
    * @async
    * @private
    * @ignore
-   * @param {Discord.Message} message The message from guild channel
+   * @param {Context} message The context of the command
    * @param {string} name The string search for
    * @returns {Song} Song info
    */
   async _searchSong(message, name) {
     let results = await this.search(name);
     let result = results[0];
-    if (this.options.searchSongs) {
+    let chooser = this.options.searchChooser;
+    // The typed number cannot be read without a text channel
+    if (this.options.searchSongs && (chooser || message.channel)) {
+      results = results.slice(0, this.options.searchResultCount);
       this.emit("searchResult", message, results);
+      let timeout;
       try {
-        let answers = await message.channel.awaitMessages(m => m.author.id === message.author.id, {
-          max: 1,
-          time: 60000,
-          errors: ["time"],
-        })
-        if (!answers.first()) throw new Error();
-        let index = parseInt(answers.first().content, 10);
-        if (isNaN(index) || index > results.length || index < 1) throw new Error();
-        result = results[index - 1];
+        let options = { time: this.options.searchTimeout, filter: user => this._canChooseSearchResult(message, user) };
+        result = await Promise.race([
+          chooser ? chooser(message, results, options) : this._chooseTypedNumber(message, results, options),
+          new Promise(resolve => { timeout = setTimeout(resolve, options.time, null) }),
+        ]);
+        if (!results.includes(result)) throw new Error();
       } catch {
         this.emit("searchCancel", message);
         return null;
+      } finally {
+        clearTimeout(timeout);
       }
     }
     return result;
   }
 
+  /**
+   * Whether or not a user can choose a search result, see {@link DisTubeOptions}.searchAnyListener
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {Discord.User} user The user
+   * @returns {boolean}
+   */
+  _canChooseSearchResult(message, user) {
+    if (!user || user.bot) return false;
+    if (!message.author || user.id === message.author.id) return true;
+    let voice = message.voiceChannel;
+    return this.options.searchAnyListener && !!voice && voice.members.has(user.id);
+  }
+
+  /**
+   * Default {@link SearchResultChooser}: wait for the number of a result typed in the text channel
+   * @async
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {SearchResult[]} results The search results
+   * @param {SearchChooserOptions} options Chooser options
+   * @returns {Promise<?SearchResult>}
+   */
+  async _chooseTypedNumber(message, results, { time, filter }) {
+    let answers = await awaitMessages(message.channel, m => filter(m.author), {
+      max: 1,
+      time,
+      errors: ["time"],
+    });
+    if (!answers.first()) return null;
+    let index = parseInt(answers.first().content, 10);
+    if (isNaN(index) || index > results.length || index < 1) return null;
+    return results[index - 1];
+  }
+
   /**
    * Create a new guild queue
    * @async
    * @private
    * @ignore
-   * @param {Discord.Message} message The message from guild channel
+   * @param {Context} message The context of the command
    * @param {Song} song Song to play
    * @throws {NotInVoice} if user not in a voice channel
    * @returns {Promise<Queue>}
    */
   async _newQueue(message, song, retried = false) {
-    let voice = message.member.voice.channel;
+    let voice = message.voiceChannel;
     if (!voice) throw new Error("User is not in the voice channel.");
     let queue = new Queue(message, song);
+    queue.minVolume = this.options.minVolume;
+    queue.maxVolume = this.options.maxVolume;
+    queue.volume = this._clampVolume(queue, this.options.defaultVolume);
     this.emit("initQueue", queue);
     this.guildQueues.set(message.guild.id, queue);
     try {
-      queue.connection = await voice.join();
+      queue.connection = await this.voice.join(voice);
     } catch (e) {
       this._deleteQueue(message);
       e.message = `DisTube cannot join the voice channel!\nReason: ${e.message}`;
       if (retried) throw e;
       return this._newQueue(message, song, true);
     }
-    queue.connection.on("error", e => {
-      e.message = `There is a problem with Discord Voice Connection.\nPlease try again! Sorry for the interruption!\nReason: ${e.message}`;
-      this._emitError(message, e);
-      this._deleteQueue(message);
-    })
+    this._handleConnectionError(queue);
     await this._playSong(message);
     return queue;
   }
 
+  /**
+   * Handle the voice connection errors and disconnection of a queue.
+   * The listeners are added once per connection and handle the queue currently playing on it.
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   */
+  _handleConnectionError(queue) {
+    let { connection } = queue;
+    if (handledConnections.has(connection)) return;
+    handledConnections.add(connection);
+    let guildID = queue.context.guild.id;
+    const currentQueue = () => {
+      let current = this.guildQueues.get(guildID);
+      return current && current.connection === connection ? current : null;
+    };
+    connection.on("error", e => {
+      let current = currentQueue();
+      if (!current) return;
+      e.message = `There is a problem with Discord Voice Connection.\nPlease try again! Sorry for the interruption!\nReason: ${e.message}`;
+      this._emitError(current.context, e);
+      this._deleteQueue(guildID);
+    }).on("disconnect", () => {
+      let current = currentQueue();
+      if (current) this._handleDisconnect(current);
+    });
+  }
+
+  /**
+   * Stop a queue whose voice connection is disconnected, e.g. the bot is kicked from the voice channel
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   */
+  _handleDisconnect(queue) {
+    let guildID = queue.context.guild.id;
+    // The queue is already deleted if DisTube disconnects itself
+    if (this.guildQueues.get(guildID) !== queue) return;
+    this.emit("disconnect", queue.context, queue);
+    try { this.stop(guildID) } catch { this._deleteQueue(guildID) }
+  }
+
+  /**
+   * `@2.9.0` Restore the queues saved in {@link DisTubeOptions}.queueStore.
+   * DisTube rejoins the saved voice channels and resumes the songs at the saved position.
+   * The message which initialized the queue is fetched again,
+   * a {@link Context} of the saved channels is used instead if it has been deleted.
+   * Should be called after the client is ready.
+   * @async
+   * @returns {Promise<Queue[]>} The restored queues
+   * @throws {Error} If {@link DisTubeOptions}.queueStore is not set
+   * @example
+   * client.on("ready", () => distube.restoreQueues());
+   * distube.on("restoreQueue", (message, queue) => message.channel.send(`Resumed \`${queue.songs[0].name}\` at \`${queue.formattedCurrentTime}\``));
+   */
+  async restoreQueues() {
+    let store = this.options.queueStore;
+    if (!store) throw new Error("DisTubeOptions.queueStore is not set.");
+    let restored = [];
+    for (let [guildID, json] of Object.entries(await store.load())) {
+      if (this.guildQueues.has(guildID)) continue;
+      let message = null;
+      try {
+        if (!json.songs || !json.songs.length) throw new Error("The saved queue is empty.");
+        let textChannel = json.textChannel ? await this.client.channels.fetch(json.textChannel) : null;
+        let voice = await this.client.channels.fetch(json.voiceChannel);
+        let original = json.message && textChannel ? await textChannel.messages.fetch(json.message).catch(() => null) : null;
+        message = original ? Context.from(original) : new Context({ guild: voice.guild, voiceChannel: voice, textChannel });
+        let users = new Set(json.songs.map(song => song.user).filter(Boolean));
+        await Promise.all([...users].map(id => this.client.users.fetch(id).catch(() => null)));
+        let queue = Queue.fromJSON(json, this, message);
+        this.guildQueues.set(guildID, queue);
+        queue.connection = await this.voice.join(voice);
+        this._handleConnectionError(queue);
+        await this._playSong(message, queue.pause);
+        restored.push(queue);
+        this.emit("restoreQueue", message, queue);
+      } catch (e) {
+        this._deleteQueue(guildID);
+        await Promise.resolve(store.delete(guildID)).catch(() => { });
+        e.message = `Cannot restore the queue of guild ${guildID}:\n${e.message}`;
+        this._emitError(message, e);
+      }
+    }
+    return restored;
+  }
+
+  /**
+   * Save a queue to {@link DisTubeOptions}.queueStore if it has changed since it was last saved
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @returns {Promise<void>}
+   */
+  _saveQueue(queue) {
+    let store = this.options.queueStore;
+    if (!store || !queue || !queue.context || !queue.connection) return Promise.resolve();
+    let guildID = queue.context.guild.id;
+    if (this.guildQueues.get(guildID) !== queue) return Promise.resolve();
+    let json = queue.toJSON();
+    let data = JSON.stringify(json);
+    if (savedQueues.get(queue) === data) return Promise.resolve();
+    savedQueues.set(queue, data);
+    return Promise.resolve()
+      .then(() => store.save(guildID, json))
+      .catch(e => {
+        // Save it again next time
+        if (savedQueues.get(queue) === data) savedQueues.delete(queue);
+        this._emitError(queue.context, e);
+      });
+  }
+
   /**
    * Delete a guild queue
    * @private
    * @ignore
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
    */
   _deleteQueue(message) {
     let queue = this.getQueue(message);
     if (!queue) return;
     if (queue.dispatcher) try { queue.dispatcher.destroy() } catch { }
     if (queue.stream) try { queue.stream.destroy() } catch { }
-    if (typeof message === "string") this.guildQueues.delete(message);
-    else if (message && message.guild) this.guildQueues.delete(message.guild.id);
+    this._cancelPrefetch(queue);
+    let guildID = queue.context.guild.id;
+    this.guildQueues.delete(guildID);
+    if (this.options.queueStore) {
+      Promise.resolve()
+        .then(() => this.options.queueStore.delete(guildID))
+        .catch(e => this._emitError(queue.context, e));
+    }
   }
 
   /**
    * Get the guild queue
-   * @param {Discord.Snowflake|Discord.Message} message The guild ID or message from guild channel.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @returns {Queue} The guild queue
    * @example
    * client.on('message', (message) => {
@@ -452,15 +988,32 @@ class DisTube extends EventEmitter {
    */
   getQueue(message) {
     if (typeof message === "string") return this.guildQueues.get(message);
-    if (!message || !message.guild) throw TypeError("Parameter should be Discord.Message or server ID!");
-    return this.guildQueues.get(message.guild.id);
+    let context;
+    try { context = Context.from(message) } catch { }
+    if (!context) throw TypeError("Parameter should be a guild ID, a Discord.Message, an interaction or context options!");
+    return this.guildQueues.get(context.guild.id);
+  }
+
+  /**
+   * Get the context of a guild ID or a {@link ContextResolvable}
+   * @private
+   * @ignore
+   * @param {Discord.Snowflake|ContextResolvable} message A guild ID or the message, interaction or context of the command
+   * @returns {?Context} The context of the guild queue if `message` is a guild ID
+   */
+  _getContext(message) {
+    if (typeof message === "string") {
+      let queue = this.guildQueues.get(message);
+      return queue ? queue.context : null;
+    }
+    return Context.from(message);
   }
 
   /**
    * Add a video to queue
    * @private
    * @ignore
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
    * @param {Song} song Song to add
    * @param {boolean} [unshift=false] Unshift
    * @throws {NotInVoice} if result is empty
@@ -474,6 +1027,7 @@ class DisTube extends EventEmitter {
       let playing = queue.songs.shift();
       queue.songs.unshift(playing, song);
     } else { queue.songs.push(song); }
+    this._updateQueue(message, queue);
     return queue;
   }
 
@@ -481,7 +1035,7 @@ class DisTube extends EventEmitter {
    * Add a array of videos to queue
    * @private
    * @ignore
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
    * @param {Song[]} songs Array of song to add
    * @param {boolean} [unshift=false] Unshift
    * @returns {Queue}
@@ -494,12 +1048,13 @@ class DisTube extends EventEmitter {
       let playing = queue.songs.shift();
       queue.songs.unshift(playing, ...songs);
     } else { queue.songs.push(...songs); }
+    this._updateQueue(message, queue);
     return queue;
   }
 
   /**
    * Pause the guild stream
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @returns {Queue} The guild queue
    * @throws {NotPlaying} No playing queue
    */
@@ -508,13 +1063,20 @@ class DisTube extends EventEmitter {
     if (!queue) throw new Error("NotPlaying");
     queue.playing = false;
     queue.pause = true;
-    queue.dispatcher.pause();
+    let dispatcher = queue.dispatcher;
+    if (this.options.fadeOut && queue.ending !== dispatcher) {
+      this._fade(queue, dispatcher, 0, this.options.fadeOut).then(faded => {
+        if (faded && queue.pause) dispatcher.pause();
+      });
+    } else dispatcher.pause();
+    this._saveQueue(queue);
+    this._emitQueueEvent("pause", message, queue);
     return queue;
   }
 
   /**
    * Resume the guild stream
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @returns {Queue} The guild queue
    * @throws {NotPlaying} No playing queue
    */
@@ -524,12 +1086,19 @@ class DisTube extends EventEmitter {
     queue.playing = true;
     queue.pause = false;
     queue.dispatcher.resume();
+    // Apply the volume set while paused
+    if (queue.ending !== queue.dispatcher) {
+      if (this.options.fadeIn || this.options.fadeOut) this._fade(queue, queue.dispatcher, 1, this.options.fadeIn);
+      else queue.dispatcher.setVolume(queue.volume / 100);
+    }
+    this._saveQueue(queue);
+    this._emitQueueEvent("resume", message, queue);
     return queue;
   }
 
   /**
    * Stop the guild stream
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @throws {NotPlaying} No playing queue
    * @example
    * client.on('message', (message) => {
@@ -546,17 +1115,102 @@ class DisTube extends EventEmitter {
     let queue = this.getQueue(message);
     if (!queue) throw new Error("NotPlaying");
     queue.stopped = true;
-    if (queue.dispatcher) try { queue.dispatcher.end() } catch { }
-    if (this.options.leaveOnStop && queue.connection) try { queue.connection.channel.leave() } catch { }
+    if (queue.songs[0]) this._emitQueueEvent("songFinish", message, queue, queue.songs[0], "stopped");
+    let { connection, stream } = queue;
+    // Keep playing the stream while the dispatcher fades out
+    this._endSong(queue).then(() => {
+      if (stream) try { stream.destroy() } catch { }
+      // The guild may have a new queue on the same connection
+      if (this.options.leaveOnStop && connection) {
+        try {
+          if (!this.guildQueues.has(connection.channel.guild.id)) connection.disconnect();
+        } catch { }
+      }
+    });
+    queue.dispatcher = null;
+    queue.stream = null;
     this._deleteQueue(message);
   }
 
   /**
-   * Set the guild stream's volume
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * End the playing song, fading it out if {@link DisTubeOptions}.fadeOut is set
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @returns {Promise<void>} Resolved after the dispatcher is ended
+   */
+  _endSong(queue) {
+    let dispatcher = queue.dispatcher;
+    if (!dispatcher) return Promise.resolve();
+    const end = () => {
+      if (!dispatcher.destroyed) try { dispatcher.end() } catch { }
+    };
+    // Ending a fading out song again ends it instantly
+    if (!this.options.fadeOut || queue.pause || queue.ending === dispatcher) return Promise.resolve(end());
+    queue.ending = dispatcher;
+    return this._fade(queue, dispatcher, 0, this.options.fadeOut).then(end);
+  }
+
+  /**
+   * Fade the volume of a dispatcher, cancelling the running fade of the queue
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {Discord.StreamDispatcher} dispatcher The dispatcher to fade
+   * @param {number} to Target volume, relative to {@link Queue#volume} (0 to 1)
+   * @param {number} duration Fade duration in milliseconds
+   * @returns {Promise<boolean>} `false` if the fade has been cancelled
+   */
+  _fade(queue, dispatcher, to, duration) {
+    let volume = queue.volume / 100;
+    let from = volume ? dispatcher.volume / volume : to;
+    return this._animate(queue, "fading", duration, progress => {
+      // Follow the volume changes while fading
+      try { dispatcher.setVolume(queue.volume / 100 * (from + ((to - from) * progress))) } catch { }
+      return !dispatcher.destroyed;
+    });
+  }
+
+  /**
+   * Call `update` with the progress (0 to 1) every 50ms during `duration`,
+   * cancelling the previous animation stored in `queue[key]`
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {string} key The queue property storing the animation
+   * @param {number} duration Duration in milliseconds
+   * @param {function(number): ?boolean} update Called with the progress, returns `false` to cancel the animation
+   * @returns {Promise<boolean>} `false` if the animation has been cancelled
+   */
+  _animate(queue, key, duration, update) {
+    if (queue[key]) queue[key].cancel();
+    return new Promise(resolve => {
+      let start = Date.now(), timer = null;
+      const done = completed => {
+        clearInterval(timer);
+        if (queue[key] === animation) queue[key] = null;
+        resolve(completed);
+      };
+      const animation = queue[key] = { cancel: () => done(false) };
+      const step = () => {
+        let progress = duration > 0 ? Math.min((Date.now() - start) / duration, 1) : 1;
+        if (update(progress) === false) done(false);
+        else if (progress >= 1) done(true);
+      };
+      step();
+      if (queue[key] === animation) timer = setInterval(step, 50);
+    });
+  }
+
+  /**
+   * Set the guild stream's volume.
+   * The volume is clamped between {@link Queue#minVolume} and {@link Queue#maxVolume}.
+   * The volume set while the queue is paused is applied when it is resumed.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @param {number} percent The percentage of volume you want to set
    * @returns {Queue} The guild queue
    * @throws {NotPlaying} No playing queue
+   * @throws {TypeError} if `percent` is not a number
    * @example
    * client.on('message', (message) => {
    *     if (!message.content.startsWith(config.prefix)) return;
@@ -569,15 +1223,116 @@ class DisTube extends EventEmitter {
   setVolume(message, percent) {
     let queue = this.getQueue(message);
     if (!queue) throw new Error("NotPlaying");
-    queue.volume = percent;
-    queue.dispatcher.setVolume(queue.volume / 100);
+    let volume = this._clampVolume(queue, percent);
+    if (queue.volumeRamp) queue.volumeRamp.cancel();
+    this._applyVolume(queue, volume);
+    this._saveQueue(queue);
+    this._emitQueueEvent("volumeChange", message, queue, queue.volume);
     return queue
   }
 
+  /**
+   * `@2.9.0` Change the guild stream's volume gradually.
+   * The volume is clamped between {@link Queue#minVolume} and {@link Queue#maxVolume}.
+   * {@link DisTube#event:volumeChange} is emitted when the target volume is reached.
+   * The ramp is cancelled by {@link DisTube#setVolume|setVolume()} or another ramp.
+   * @async
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number} target The percentage of volume to reach
+   * @param {number} duration How long the volume changes (in milliseconds)
+   * @returns {Promise<Queue>} The guild queue, resolved when the ramp ends or is cancelled
+   * @throws {NotPlaying} No playing queue
+   * @throws {TypeError} if `target` is not a number
+   * @throws {RangeError} if `duration` is invalid
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "volume")
+   *         distube.rampVolume(message, Number(args[0]), 2000);
+   * });
+   */
+  async rampVolume(message, target, duration) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    let volume = this._clampVolume(queue, target);
+    if (typeof duration !== "number" || isNaN(duration) || duration < 0) throw new RangeError("duration must be a positive number.");
+    let from = queue.volume;
+    let completed = await this._animate(queue, "volumeRamp", duration, progress => {
+      if (queue.stopped) return false;
+      this._applyVolume(queue, Math.round(from + ((volume - from) * progress)));
+      return true;
+    });
+    if (completed) {
+      this._saveQueue(queue);
+      this._emitQueueEvent("volumeChange", message, queue, queue.volume);
+    }
+    return queue;
+  }
+
+  /**
+   * `@2.9.0` Set the volume bounds of the guild queue, the volume is clamped into the new bounds.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number} min Minimum volume
+   * @param {number} max Maximum volume
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {RangeError} if the bounds are invalid (0 <= min <= max)
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "volumebounds")
+   *         distube.setVolumeBounds(message, Number(args[0]), Number(args[1]));
+   * });
+   */
+  setVolumeBounds(message, min, max) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    if (typeof min !== "number" || typeof max !== "number" || isNaN(min) || isNaN(max) || min < 0 || min > max) {
+      throw new RangeError("Volume bounds must be numbers with 0 <= min <= max.");
+    }
+    queue.minVolume = min;
+    queue.maxVolume = max;
+    if (queue.volume < min || queue.volume > max) this.setVolume(message, queue.volume);
+    else this._saveQueue(queue);
+    return queue;
+  }
+
+  /**
+   * Clamp a volume between the bounds of the queue
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {number|string} volume The volume
+   * @returns {number}
+   * @throws {TypeError} if `volume` is not a number
+   */
+  _clampVolume(queue, volume) {
+    let value = typeof volume === "string" ? Number(volume.trim() || NaN) : volume;
+    if (typeof value !== "number" || isNaN(value)) throw new TypeError("Volume must be a number.");
+    return Math.min(Math.max(value, queue.minVolume), queue.maxVolume);
+  }
+
+  /**
+   * Set the volume of the queue and its dispatcher
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {number} volume The volume
+   */
+  _applyVolume(queue, volume) {
+    queue.volume = volume;
+    // A running fade follows the queue volume, a paused dispatcher gets it when resumed
+    if (queue.dispatcher && !queue.fading && !queue.pause) queue.dispatcher.setVolume(volume / 100);
+  }
+
   /**
    * Skip the playing song
    *
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @returns {Queue} The guild queue
    * @throws {NotPlaying} No playing queue
    * @throws {NoSong} if there is no song in queue
@@ -595,13 +1350,38 @@ class DisTube extends EventEmitter {
     if (!queue) throw new Error("NotPlaying");
     if (queue.songs <= 1 && !queue.autoplay) throw new Error("NoSong");
     queue.skipped = true;
-    queue.dispatcher.end();
+    this._endSong(queue);
+    return queue;
+  }
+
+  /**
+   * `@2.9.0` Play the previous song, the playing song will be played next.
+   * Played songs are kept in {@link Queue#previousSongs}.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {NoPreviousSong} if there is no previous song
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "previous")
+   *         distube.previous(message);
+   * });
+   */
+  previous(message) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    if (!queue.previousSongs.length) throw new Error("NoPreviousSong");
+    queue.prev = true;
+    this._endSong(queue);
     return queue;
   }
 
   /**
    * Shuffle the guild queue songs
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @returns {Queue} The guild queue
    * @example
    * client.on('message', (message) => {
@@ -621,13 +1401,14 @@ class DisTube extends EventEmitter {
       [queue.songs[i], queue.songs[j]] = [queue.songs[j], queue.songs[i]];
     }
     queue.songs.unshift(playing);
+    this._updateQueue(message, queue);
     return queue;
   }
 
   /**
    * Jump to the song number in the queue.
    * The next one is 1,...
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @param {number} num The song number to play
    * @returns {Queue} The guild queue
    * @throws {InvalidSong} if `num` is invalid number (0 < num < {@link Queue#songs}.length)
@@ -647,21 +1428,201 @@ class DisTube extends EventEmitter {
     if (num > queue.songs.length || num < 1) throw new Error("InvalidSong");
     queue.songs = queue.songs.splice(num - 1);
     queue.skipped = true;
-    if (queue.dispatcher) queue.dispatcher.end();
+    this._updateQueue(message, queue);
+    this._endSong(queue);
     return queue;
   }
 
   /**
-   * Set the repeat mode of the guild queue.
-   * Turn off if repeat mode is the same value as new mode.
-   * Toggle mode: `mode = null` `(0 -> 1 -> 2 -> 0...)`
-   *
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
-   * @param {number} mode The repeat modes `(0: disabled, 1: Repeat a song, 2: Repeat all the queue)`
-   * @returns {number} The new repeat mode
-   *
-   * @example
-   * client.on('message', (message) => {
+   * Validate a position of the upcoming songs in the queue
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {number} position Position of the song (The next one is 1,...)
+   * @param {number} [max=queue.songs.length - 1] Maximum position
+   * @throws {InvalidSong} if `position` is invalid
+   */
+  _validatePosition(queue, position, max = queue.songs.length - 1) {
+    if (!Number.isInteger(position) || position < 1 || position > max) throw new Error("InvalidSong");
+  }
+
+  /**
+   * `@2.9.0` Remove songs from the queue.
+   * The playing song cannot be removed, use {@link DisTube#skip|skip()} instead.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number|function(Song, number): boolean} song The song number (The next one is 1,...)
+   * or a function returning `true` for the songs to remove
+   * @returns {Song[]} The removed songs
+   * @throws {NotPlaying} No playing queue
+   * @throws {InvalidSong} if `song` is an invalid number (0 < song < {@link Queue#songs}.length)
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "remove")
+   *         distube.remove(message, parseInt(args[0]));
+   *     if (command == "removemine")
+   *         distube.remove(message, song => song.user.id === message.author.id);
+   * });
+   */
+  remove(message, song) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    let removed = [];
+    if (typeof song === "function") {
+      let [playing, ...songs] = queue.songs;
+      queue.songs = [playing, ...songs.filter((s, i) => {
+        if (!song(s, i + 1)) return true;
+        removed.push(s);
+        return false;
+      })];
+    } else {
+      this._validatePosition(queue, song);
+      removed = queue.songs.splice(song, 1);
+    }
+    if (removed.length) {
+      this._updateQueue(message, queue);
+      this._emitQueueEvent("removeSong", message, queue, removed);
+    }
+    return removed;
+  }
+
+  /**
+   * `@2.9.0` Move a song to another position in the queue.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number} from The song number to move (The next one is 1,...)
+   * @param {number} to The new song number
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {InvalidSong} if `from` or `to` is an invalid number (0 < num < {@link Queue#songs}.length)
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "move")
+   *         distube.move(message, parseInt(args[0]), parseInt(args[1]));
+   * });
+   */
+  move(message, from, to) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    this._validatePosition(queue, from);
+    this._validatePosition(queue, to);
+    let [song] = queue.songs.splice(from, 1);
+    queue.songs.splice(to, 0, song);
+    this._updateQueue(message, queue);
+    this._emitQueueEvent("moveSong", message, queue, song, from, to);
+    return queue;
+  }
+
+  /**
+   * `@2.9.0` Swap two songs of the queue.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number} first The first song number (The next one is 1,...)
+   * @param {number} second The second song number
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {InvalidSong} if `first` or `second` is an invalid number (0 < num < {@link Queue#songs}.length)
+   */
+  swap(message, first, second) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    this._validatePosition(queue, first);
+    this._validatePosition(queue, second);
+    [queue.songs[first], queue.songs[second]] = [queue.songs[second], queue.songs[first]];
+    this._updateQueue(message, queue);
+    this._emitQueueEvent("swapSong", message, queue, queue.songs[second], queue.songs[first]);
+    return queue;
+  }
+
+  /**
+   * `@2.9.0` Insert a song or playlist at a position of the queue.
+   * @async
+   * @param {ContextResolvable} message The message, interaction or context of the command
+   * @param {string|Song|SearchResult|Playlist} song Youtube url | Search string | {@link Song} | {@link SearchResult} | {@link Playlist}
+   * @param {number} position The song number of the inserted song (The next one is 1,...)
+   * @returns {Promise<Queue>} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {InvalidSong} if `position` is an invalid number (0 < position <= {@link Queue#songs}.length)
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "insert")
+   *         distube.insert(message, args.slice(1).join(" "), parseInt(args[0]))
+   *             .catch(err => message.channel.send("Cannot insert the song."));
+   * });
+   */
+  async insert(message, song, position) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    this._validatePosition(queue, position, queue.songs.length);
+    message = this._getContext(message);
+    let songs = song instanceof Playlist ? song.songs : await this._resolveSong(message, song);
+    if (!songs) throw new Error("NoSong");
+    if (!Array.isArray(songs)) songs = [songs];
+    if (this.getQueue(message) !== queue) throw new Error("NotPlaying");
+    position = Math.min(position, queue.songs.length);
+    queue.songs.splice(position, 0, ...songs);
+    this._updateQueue(message, queue);
+    this._emitQueueEvent("insertSong", message, queue, songs, position);
+    return queue;
+  }
+
+  /**
+   * `@2.9.0` Remove all the songs of the queue except the playing one.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @returns {Song[]} The removed songs
+   * @throws {NotPlaying} No playing queue
+   */
+  clear(message) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    let removed = queue.songs.splice(1);
+    this._updateQueue(message, queue);
+    this._emitQueueEvent("clearQueue", message, queue, removed);
+    return removed;
+  }
+
+  /**
+   * `@2.9.0` Remove the songs which have the same url as a previous song of the queue.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @returns {Song[]} The removed songs
+   * @throws {NotPlaying} No playing queue
+   */
+  removeDuplicates(message) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    let urls = new Set(), removed = [];
+    queue.songs = queue.songs.filter((song, i) => {
+      if (i === 0 || !urls.has(song.url)) {
+        urls.add(song.url);
+        return true;
+      }
+      removed.push(song);
+      return false;
+    });
+    if (removed.length) {
+      this._updateQueue(message, queue);
+      this._emitQueueEvent("removeDuplicates", message, queue, removed);
+    }
+    return removed;
+  }
+
+  /**
+   * Set the repeat mode of the guild queue.
+   * Turn off if repeat mode is the same value as new mode.
+   * Toggle mode: `mode = null` `(0 -> 1 -> 2 -> 0...)`
+   *
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number} mode The repeat modes `(0: disabled, 1: Repeat a song, 2: Repeat all the queue)`
+   * @returns {number} The new repeat mode
+   *
+   * @example
+   * client.on('message', (message) => {
    *     if (!message.content.startsWith(config.prefix)) return;
    *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
    *     const command = args.shift();
@@ -679,12 +1640,70 @@ class DisTube extends EventEmitter {
     if (!mode && mode !== 0) queue.repeatMode = (queue.repeatMode + 1) % 3;
     else if (queue.repeatMode === mode) queue.repeatMode = 0;
     else queue.repeatMode = mode;
+    this._saveQueue(queue);
+    this._emitQueueEvent("repeatModeChange", message, queue, queue.repeatMode);
     return queue.repeatMode;
   }
 
+  /**
+   * `@2.9.0` Repeat a section of the playing song until it is skipped or the loop is cleared.
+   * The song is replayed from `start` if the current position is out of the section.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number|string} start Where the section starts, in milliseconds or a string parsed like the time of {@link DisTube#seek|seek()}
+   * @param {number|string} end Where the section ends
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {Error} if the playing song is a live stream
+   * @throws {TypeError} if `start` or `end` is not a valid time
+   * @throws {RangeError} if the section is invalid (0 <= start < end <= {@link Song#duration})
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "abloop") // abloop 1:10 1:35
+   *         distube.setABLoop(message, args[0], args[1]);
+   *     if (command == "abloopoff")
+   *         distube.clearABLoop(message);
+   * });
+   */
+  setABLoop(message, start, end) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    let song = queue.songs[0];
+    if (song.isLive) throw new Error("Cannot loop a section of a live stream.");
+    start = this._parseSeekTime(queue, start);
+    end = this._parseSeekTime(queue, end);
+    if (start < 0 || start >= end || (song.duration && end > song.duration * 1000)) {
+      throw new RangeError("Invalid section, 0 <= start < end <= song duration.");
+    }
+    let time = queue.currentTime;
+    queue.abLoop = { start, end };
+    // The stream is recreated to end at the end of the section
+    this._replaySong(message, queue, time >= start && time < end ? time : start);
+    this._emitQueueEvent("abLoopChange", message, queue, queue.abLoop);
+    return queue;
+  }
+
+  /**
+   * `@2.9.0` Stop repeating the section of the playing song set with {@link DisTube#setABLoop|setABLoop()}.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   */
+  clearABLoop(message) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    if (!queue.abLoop) return queue;
+    queue.abLoop = null;
+    this._replaySong(message, queue);
+    this._emitQueueEvent("abLoopChange", message, queue, null);
+    return queue;
+  }
+
   /**
    * Toggle autoplay mode
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @returns {boolean} Autoplay mode state
    * @throws {NotPlaying} No playing queue
    * @example
@@ -702,12 +1721,14 @@ class DisTube extends EventEmitter {
     let queue = this.getQueue(message);
     if (!queue) throw new Error("NotPlaying");
     queue.autoplay = !queue.autoplay;
+    this._saveQueue(queue);
+    this._emitQueueEvent("autoplayChange", message, queue, queue.autoplay);
     return queue.autoplay;
   }
 
   /**
    * Whether or not a guild is playing music.
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel to check
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @returns {boolean} Whether or not the guild is playing song(s)
    */
   isPlaying(message) {
@@ -717,7 +1738,7 @@ class DisTube extends EventEmitter {
 
   /**
    * Whether or not the guild queue is paused
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel to check
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @returns {boolean} Whether or not the guild queue is paused
    */
   isPaused(message) {
@@ -741,7 +1762,7 @@ class DisTube extends EventEmitter {
   /**
    * TODO: Remove this
    * @deprecated use {@link DisTube#addRelatedVideo} instead
-   * @param {DisTube.Message} message Message
+   * @param {ContextResolvable} message The message, interaction or context of the command
    * @returns {Promise<Queue>}
    */
   runAutoplay(message) {
@@ -752,35 +1773,37 @@ class DisTube extends EventEmitter {
   /**
    * Add related song to the queue
    * @async
-   * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
    * @returns {Promise<Queue>} The guild queue
    */
   async addRelatedVideo(message) {
     let queue = this.getQueue(message);
     if (!queue) throw new Error("NotPlaying");
+    message = this._getContext(message);
     let song = queue.songs[0];
     if (!song.youtube) {
       this.emit("noRelated", message);
       return queue;
     }
     let related = song.related;
-    if (!Array.isArray(related)) related = (await ytdl.getBasicInfo(song.url, { requestOptions: this.requestOptions })).related_videos;
+    if (!Array.isArray(related)) related = (await this._getYouTubeInfo(song.url, true)).related_videos;
     if (Array.isArray(related)) {
-      const relatedVideo = related.find(s => !queue.previousSongs.includes(s.id));
+      const relatedVideo = related.find(s => !queue.playedIDs.has(s.id));
       if (!relatedVideo && !relatedVideo.id) {
         this.emit("noRelated", message);
         return queue;
       }
-      this._addToQueue(message, new Song(await ytdl.getInfo(relatedVideo.id, { requestOptions: this.requestOptions }), this.client.user, true));
+      this._addToQueue(message, new Song(await this._getYouTubeInfo(relatedVideo.id), this.client.user, true));
     } else this.emit("noRelated", message);
     return queue;
   }
 
   /**
    * `@2.0.0` Enable or disable a filter of the queue, replay the playing song.
+   * The other enabled filters are disabled, use {@link DisTube#addFilter|addFilter()} to combine filters.
    * Available filters: {@link Filter}
    *
-   * @param {Discord.Message} message The message from guild channel
+   * @param {ContextResolvable} message The message, interaction or context of the command
    * @param {Filter} filter A filter name
    * @returns {string} Current queue's filter name.
    * @example
@@ -794,164 +1817,1020 @@ class DisTube extends EventEmitter {
    *     }
    * });
    */
-  setFilter(message, filter) {
-    let queue = this.getQueue(message);
-    if (!queue) throw new Error("NotPlaying");
-    if (!Object.prototype.hasOwnProperty.call(this.filters, filter)) throw new TypeError(`${filter} is not a Filter (https://DisTube.js.org/global.html#Filter).`);
-    if (queue.filter === filter) queue.filter = null;
-    else queue.filter = filter;
-    queue.beginTime = queue.currentTime;
-    this._playSong(message);
-    return queue.filter;
+  setFilter(message, filter) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    this._validateFilter(filter);
+    if (queue.filters.length === 1 && queue.filter === filter) queue.filter = null;
+    else queue.filter = filter;
+    this._applyFilters(message, queue);
+    return queue.filter;
+  }
+
+  /**
+   * `@2.9.0` Enable a filter after the enabled ones, replay the playing song.
+   * Available filters: {@link Filter}
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {Filter} filter A filter name
+   * @returns {Filter[]} Enabled filters
+   * @throws {NotPlaying} No playing queue
+   * @throws {TypeError} if `filter` is not a {@link Filter}
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "addfilter") {
+   *         let filters = distube.addFilter(message, args[0]);
+   *         message.channel.send("Current queue filters: " + filters.join(", "));
+   *     }
+   * });
+   */
+  addFilter(message, filter) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    this._validateFilter(filter);
+    if (queue.filters.includes(filter)) return queue.filters;
+    queue.filters.push(filter);
+    this._applyFilters(message, queue);
+    return queue.filters;
+  }
+
+  /**
+   * `@2.9.0` Disable a filter, replay the playing song.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {Filter} filter A filter name
+   * @returns {Filter[]} Enabled filters
+   * @throws {NotPlaying} No playing queue
+   */
+  removeFilter(message, filter) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    if (!queue.filters.includes(filter)) return queue.filters;
+    queue.filters = queue.filters.filter(f => f !== filter);
+    this._applyFilters(message, queue);
+    return queue.filters;
+  }
+
+  /**
+   * `@2.9.0` Replace the enabled filters, replay the playing song.
+   * Filters are applied in the given order, duplicates are ignored.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {Filter[]} filters Filter names
+   * @returns {Filter[]} Enabled filters
+   * @throws {NotPlaying} No playing queue
+   * @throws {TypeError} if a filter is not a {@link Filter}
+   * @example
+   * distube.setFilters(message, ["nightcore", "bassboost"]);
+   */
+  setFilters(message, filters) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    if (!Array.isArray(filters)) throw new TypeError("filters must be an array of Filter.");
+    filters.forEach(filter => this._validateFilter(filter));
+    queue.filters = [...new Set(filters)];
+    this._applyFilters(message, queue);
+    return queue.filters;
+  }
+
+  /**
+   * `@2.9.0` Disable all the filters, replay the playing song.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @returns {Filter[]} Enabled filters (empty)
+   * @throws {NotPlaying} No playing queue
+   */
+  clearFilters(message) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    if (!queue.filters.length) return queue.filters;
+    queue.filters = [];
+    this._applyFilters(message, queue);
+    return queue.filters;
+  }
+
+  /**
+   * Check if a filter name is defined
+   * @private
+   * @ignore
+   * @param {Filter} filter A filter name
+   * @throws {TypeError} if `filter` is not a {@link Filter}
+   */
+  _validateFilter(filter) {
+    if (!Object.prototype.hasOwnProperty.call(this.filters, filter)) throw new TypeError(`${filter} is not a Filter (https://DisTube.js.org/global.html#Filter).`);
+  }
+
+  /**
+   * Replay the playing song at the current position with the enabled filters
+   * @private
+   * @ignore
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+   * @param {Queue} queue The guild queue
+   */
+  _applyFilters(message, queue) {
+    this._replaySong(message, queue);
+    this._emitQueueEvent("filterChange", message, queue, queue.filters);
+  }
+
+  /**
+   * Replay the playing song at the current position to apply the new audio settings
+   * @private
+   * @ignore
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+   * @param {Queue} queue The guild queue
+   */
+  _replaySong(message, queue, beginTime = queue.currentTime) {
+    queue.beginTime = beginTime;
+    this._playSong(message);
+  }
+
+  /**
+   * Set a playback factor of the queue, replay the playing song
+   * @private
+   * @ignore
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+   * @param {string} prop `speed`, `pitch` or `tempo`
+   * @param {number} value The factor (0.5 to 2)
+   * @returns {Queue} The guild queue
+   */
+  _setPlaybackFactor(message, prop, value) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    if (typeof value !== "number" || isNaN(value) || value < 0.5 || value > 2) throw new RangeError(`${prop} must be a number between 0.5 and 2.`);
+    if (queue.songs[0] && queue.songs[0].isLive && prop !== "pitch") throw new Error("Cannot change the speed of a live stream.");
+    let time = queue.currentTime;
+    queue[prop] = value;
+    this._replaySong(message, queue, time);
+    this._emitQueueEvent(`${prop}Change`, message, queue, value);
+    return queue;
+  }
+
+  /**
+   * `@2.9.0` Set the playback speed, which changes both the tempo and the pitch, replay the playing song.
+   * {@link Queue#currentTime} and {@link Queue#duration} are scaled with the speed.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number} speed The speed factor (0.5 to 2), `1` is the normal speed
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {RangeError} if `speed` is invalid
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "speed")
+   *         distube.setSpeed(message, Number(args[0]));
+   * });
+   */
+  setSpeed(message, speed) {
+    return this._setPlaybackFactor(message, "speed", speed);
+  }
+
+  /**
+   * `@2.9.0` Set the pitch without changing the tempo, replay the playing song.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number} pitch The pitch factor (0.5 to 2), `1` is the original pitch
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {RangeError} if `pitch` is invalid
+   */
+  setPitch(message, pitch) {
+    return this._setPlaybackFactor(message, "pitch", pitch);
+  }
+
+  /**
+   * `@2.9.0` Set the tempo without changing the pitch, replay the playing song.
+   * {@link Queue#currentTime} and {@link Queue#duration} are scaled with the tempo.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number} tempo The tempo factor (0.5 to 2), `1` is the original tempo
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {RangeError} if `tempo` is invalid
+   * @example
+   * // 1.25x speed with the original pitch
+   * distube.setTempo(message, 1.25);
+   */
+  setTempo(message, tempo) {
+    return this._setPlaybackFactor(message, "tempo", tempo);
+  }
+
+  /**
+   * `@2.9.0` Set the equalizer of the queue, replay the playing song.
+   * It is applied after the enabled filters.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {?(number[]|EqualizerPreset|Equalizer)} equalizer Band gains in dB | Preset name | Equalizer settings.
+   * `null` to disable the equalizer
+   * @returns {?Equalizer} The equalizer settings, `null` if disabled
+   * @throws {NotPlaying} No playing queue
+   * @throws {TypeError} if `equalizer` is an unknown preset
+   * @throws {RangeError} if the number of bands or a gain is invalid
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "eq")
+   *         distube.setEqualizer(message, args[0] === "off" ? null : args[0]); // "rock", "vocal",...
+   *     if (command == "eqbands")
+   *         distube.setEqualizer(message, args.map(Number)); // 10 or 15 gains
+   *     if (command == "bass")
+   *         distube.setEqualizer(message, { ...distube.getQueue(message).equalizer, bass: Number(args[0]) });
+   * });
+   */
+  setEqualizer(message, equalizer) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    queue.equalizer = parseEqualizer(equalizer);
+    this._replaySong(message, queue);
+    this._emitQueueEvent("equalizerChange", message, queue, queue.equalizer);
+    return queue.equalizer;
+  }
+
+  /**
+   * `@2.7.0` Set the playing time to another position
+   * `@2.9.0` The position is clamped to the song duration.
+   *
+   * @param {ContextResolvable} message The message, interaction or context of the command
+   * @param {number|string} time Time in milliseconds, or a string:
+   * * A time in milliseconds like numbers: `"90000"`
+   * * A time expression: `"1:23"`, `"1:02:03"`, `"1h2m3s"`, `"90s"`
+   * * A time relative to the current position: `"+30s"`, `"-10000"`, `"+1:00"`
+   * * A percentage of the song duration: `"50%"`
+   * @throws {NotPlaying} No playing queue
+   * @throws {Error} if the playing song is a live stream
+   * @throws {TypeError} if `time` is invalid
+   * @example
+   * client.on('message', message => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command = 'seek')
+   *         distube.seek(message, args[0]);
+   * });
+   */
+  seek(message, time) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    if (queue.songs[0].isLive) throw new Error("Cannot seek a live stream.");
+    time = this._parseSeekTime(queue, time);
+    let duration = queue.songs[0].duration * 1000;
+    time = Math.max(duration ? Math.min(time, duration) : time, 0);
+    queue.beginTime = time;
+    this._playSong(message);
+    this._emitQueueEvent("seek", message, queue, time);
+  }
+
+  /**
+   * Parse the time of {@link DisTube#seek|seek()} and the bounds of {@link DisTube#setABLoop|setABLoop()}
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {number|string} time Time in milliseconds | Time string
+   * @returns {number} Position in milliseconds
+   * @throws {TypeError} if `time` is invalid
+   */
+  _parseSeekTime(queue, time) {
+    // Digits only are milliseconds like numbers, time expressions are seconds
+    const toMilliseconds = string => /^\d+(?:\.\d+)?$/.test(string) ? Number(string) : parseTime(string) * 1000;
+    let position = NaN;
+    if (typeof time === "number") position = time;
+    else if (typeof time === "string") {
+      let string = time.trim();
+      let relative = string.match(/^([+-])\s*(.+)$/);
+      let percent = string.match(/^(\d+(?:\.\d+)?)\s*%$/);
+      if (relative) {
+        let offset = toMilliseconds(relative[2]);
+        position = queue.currentTime + (relative[1] === "-" ? -offset : offset);
+      } else if (percent) {
+        if (!queue.songs[0].duration) throw new TypeError("Cannot seek to a percentage of a song without duration.");
+        position = queue.songs[0].duration * 1000 * Number(percent[1]) / 100;
+      } else position = toMilliseconds(string);
+    }
+    if (isNaN(position)) throw new TypeError(`Invalid seek time: ${time}`);
+    return position;
+  }
+
+  /**
+   * `@2.9.0` Play the next chapter of the playing song.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {NoChapter} if the playing song has no chapters
+   * @throws {InvalidChapter} if the playing chapter is the last one
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "nextchapter")
+   *         distube.nextChapter(message);
+   * });
+   */
+  nextChapter(message) {
+    let queue = this._getChapterQueue(message);
+    let chapters = queue.songs[0].chapters;
+    return this._seekChapter(message, queue, chapters.indexOf(queue.currentChapter) + 1);
+  }
+
+  /**
+   * `@2.9.0` Play the previous chapter of the playing song.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {NoChapter} if the playing song has no chapters
+   * @throws {InvalidChapter} if the playing chapter is the first one
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "previouschapter")
+   *         distube.previousChapter(message);
+   * });
+   */
+  previousChapter(message) {
+    let queue = this._getChapterQueue(message);
+    let chapters = queue.songs[0].chapters;
+    return this._seekChapter(message, queue, chapters.indexOf(queue.currentChapter) - 1);
+  }
+
+  /**
+   * `@2.9.0` Play a chapter of the playing song.
+   * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+   * @param {number} num The chapter number (The first one is 1,...)
+   * @returns {Queue} The guild queue
+   * @throws {NotPlaying} No playing queue
+   * @throws {NoChapter} if the playing song has no chapters
+   * @throws {InvalidChapter} if `num` is invalid or the chapter is outside of the song clip
+   * @example
+   * client.on('message', (message) => {
+   *     if (!message.content.startsWith(config.prefix)) return;
+   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+   *     const command = args.shift();
+   *     if (command == "chapter")
+   *         distube.jumpToChapter(message, parseInt(args[0]))
+   *             .catch(err => message.channel.send("Invalid chapter number."));
+   * });
+   */
+  jumpToChapter(message, num) {
+    let queue = this._getChapterQueue(message);
+    if (!Number.isInteger(num)) throw new Error("InvalidChapter");
+    return this._seekChapter(message, queue, num - 1);
+  }
+
+  /**
+   * Get the queue playing a song with chapters
+   * @private
+   * @ignore
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+   * @returns {Queue} The guild queue
+   */
+  _getChapterQueue(message) {
+    let queue = this.getQueue(message);
+    if (!queue) throw new Error("NotPlaying");
+    if (!queue.songs[0].chapters.length) throw new Error("NoChapter");
+    return queue;
+  }
+
+  /**
+   * Seek to the start of a chapter of the playing song
+   * @private
+   * @ignore
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+   * @param {Queue} queue The guild queue
+   * @param {number} index Index of the chapter in {@link Song#chapters}
+   * @returns {Queue} The guild queue
+   */
+  _seekChapter(message, queue, index) {
+    let song = queue.songs[0];
+    let chapter = song.chapters[index];
+    if (!chapter) throw new Error("InvalidChapter");
+    let position = (chapter.startTime - song.startTime) * 1000;
+    // The chapter should be in the clip
+    if (position < 0 || (song.duration && position >= song.duration * 1000)) throw new Error("InvalidChapter");
+    this.seek(message, position);
+    return queue;
+  }
+
+  /**
+   * Emit {@link DisTube#event:chapterChange} when the playing chapter changes
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {Queue} queue The guild queue
+   * @param {Discord.StreamDispatcher} dispatcher The playing dispatcher
+   */
+  _watchChapters(message, queue, dispatcher) {
+    const timer = setInterval(() => {
+      if (queue.dispatcher !== dispatcher || dispatcher.destroyed || queue.stopped) {
+        clearInterval(timer);
+        return;
+      }
+      let song = queue.songs[0];
+      if (!song || !song.chapters.length) return;
+      let chapter = queue.currentChapter;
+      let last = queue.chapter;
+      queue.chapter = { song, chapter };
+      // The first chapter of a new song is announced by playSong
+      if (!last || last.song !== song || last.chapter === chapter || !chapter) return;
+      this.emit("chapterChange", message, queue, chapter);
+    }, 1000);
+  }
+
+  /**
+   * Get a value from {@link DisTube#cache}, or load and cache it.
+   * The value is cloned, so the cached one is never changed by its users (e.g. {@link Song} sorts the thumbnails of the info).
+   * @async
+   * @private
+   * @ignore
+   * @param {string} key The key
+   * @param {function(): Promise<*>} loader Load the value if it is not cached
+   * @returns {Promise<*>}
+   */
+  async _cached(key, loader) {
+    if (!this.cache) return loader();
+    return JSON.parse(JSON.stringify(await this.cache.fetch(key, loader, streamURLsTTL)));
+  }
+
+  /**
+   * Get the info of a YouTube video through {@link DisTube#cache}
+   * @async
+   * @private
+   * @ignore
+   * @param {string} url The video url or ID
+   * @param {boolean} [basic=false] Whether or not getting the basic info only
+   * @returns {Promise<ytdl.videoInfo>}
+   */
+  _getYouTubeInfo(url, basic = false) {
+    let id = url;
+    try { id = ytdl.getVideoID(url) } catch { }
+    let getInfo = basic ? ytdl.getBasicInfo : ytdl.getInfo;
+    return this._cached(`ytdl:${basic ? "basic" : "info"}:${id}`, () => getInfo(url, { requestOptions: this.requestOptions }));
+  }
+
+  /**
+   * Emit error event
+   * @private
+   * @ignore
+   */
+  _emitError(message, error) {
+    let context = null;
+    try { context = this._getContext(message) } catch { }
+    if (this.listeners("error").length) this.emit("error", context, error);
+    else this.emit("error", error);
+  }
+
+  /**
+   * Emit a queue event with the message which initialized the queue if `message` is a guild ID
+   * @private
+   * @ignore
+   * @param {string} event Event name
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+   * @param {Queue} queue The guild queue
+   * @param {...*} args Other event arguments
+   */
+  _emitQueueEvent(event, message, queue, ...args) {
+    this.emit(event, typeof message === "string" ? queue.context : Context.from(message), queue, ...args);
+  }
+
+  /**
+   * Save the queue, emit {@link DisTube#event:queueUpdate} and prefetch the upcoming songs after its songs change
+   * @private
+   * @ignore
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+   * @param {Queue} queue The guild queue
+   */
+  _updateQueue(message, queue) {
+    // The prefetched stream may not be the one of the next song anymore
+    if (queue.next && queue.next.song !== queue.songs[0] && queue.next.song !== this._getNextSong(queue)) this._cancelPrefetch(queue);
+    this._saveQueue(queue);
+    this._emitQueueEvent("queueUpdate", message, queue);
+    this._prefetchSongs(message, queue);
+  }
+
+  /**
+   * Whether or not emit playSong event
+   * @private
+   * @ignore
+   */
+  _emitPlaySong(queue) {
+    if (
+      !this.options.emitNewSongOnly ||
+      (
+        queue.repeatMode !== 1 &&
+        (!queue.songs[1] || queue.songs[0].id !== queue.songs[1].id)
+      )
+    ) return true;
+    return false;
+  }
+
+  /**
+   * Get the ffmpeg filter chain of a queue
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {Song} [song=queue.songs[0]] The song to play
+   * @returns {string[]} ffmpeg filters
+   */
+  _getAudioFilters(queue, song = queue.songs[0]) {
+    let normalize = parseLoudnessMode(this.options.normalizeLoudness);
+    // The ReplayGain of the source is applied first
+    let filters = normalize === "replaygain" && song.gain ? [`volume=${song.gain}dB`] : [];
+    filters.push(...queue.filters.map(filter => this.filters[filter]));
+    let rate = queue.speed * queue.pitch;
+    if (rate !== 1) filters.push("aresample=48000", `asetrate=${Math.round(48000 * rate)}`, "aresample=48000");
+    filters.push(...atempo(queue.tempo / queue.pitch));
+    filters.push(...equalizerFilters(queue.equalizer));
+    if (normalize === "loudnorm") filters.push(loudnormFilter);
+    return filters;
+  }
+
+  /**
+   * Create a ytdl stream from the plugin resolved the song
+   * @async
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {Song} [song=queue.songs[0]] The song to stream
+   * @param {number} [beginTime=queue.beginTime] What time in the song to begin (in milliseconds), relative to {@link Song#startTime}
+   * @param {boolean} [pcm=false] Whether or not creating a 16-bit signed stereo PCM stream instead of an opus one
+   * @returns {Promise<Readable>}
+   */
+  async _createStream(queue, song = queue.songs[0], beginTime = queue.beginTime, pcm = false) {
+    let audioFilters = this._getAudioFilters(queue, song);
+    // Without encoder args, ytdl demuxes the opus stream of YouTube videos
+    let encoderArgs = audioFilters.length ? ["-af", audioFilters.join(",")] : pcm ? [] : null;
+    // Stop the output at the end of the A-B loop section or the clip
+    let end = queue.abLoop && song === queue.songs[0] ? queue.abLoop.end : song.endTime !== null ? song.duration * 1000 : null;
+    if (end !== null) {
+      let remaining = Math.max(end - beginTime, 0) / queue.playbackRate;
+      encoderArgs = (encoderArgs || []).concat("-t", `${remaining / 1000}`);
+    }
+    let streamOptions = {
+      opusEncoded: !pcm,
+      filter: song.isLive ? "audioandvideo" : "audioonly",
+      quality: "highestaudio",
+      highWaterMark: this.options.highWaterMark,
+      requestOptions: this.requestOptions,
+      encoderArgs,
+      seek: ((song.startTime * 1000) + beginTime) / 1000,
+    };
+    let plugin = song.plugin || (song.youtube ? this.plugins.find(p => p instanceof YouTubePlugin) : null);
+    if (plugin && typeof plugin.createStream === "function") return plugin.createStream(song, streamOptions);
+    return ytdl.arbitraryStream(plugin ? await plugin.getStreamURL(song) : song.streamURL, streamOptions);
+  }
+
+  /**
+   * Play a song on voice connection
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {boolean} [paused=false] Whether or not the dispatcher is paused before it plays anything, e.g. for a restored paused queue
+   */
+  async _playSong(message, paused = false) {
+    let queue = this.getQueue(message);
+    if (!queue) return;
+    message = typeof message === "string" ? queue.context : Context.from(message);
+    if (!queue.songs.length) {
+      this._deleteQueue(message);
+      return;
+    }
+    let song = queue.songs[0];
+    try {
+      let errorEmitted = false, dispatcher = null;
+      await this._fetchSongInfo(song);
+      await this._fetchSegments(message, song);
+      // Skip the segments where the song begins
+      let segment;
+      while ((segment = this._getSkipSegment(queue, queue.beginTime))) {
+        queue.beginTime = (segment.end - song.startTime) * 1000;
+        this.emit("segmentSkip", message, queue, segment);
+      }
+      let crossfade = this.options.crossfade > 0 && !song.isLive;
+      let stream = this._takePrefetchedStream(queue, song, crossfade) ||
+        await this._createStream(queue, song, queue.beginTime, crossfade);
+      stream.on("error", e => {
+        errorEmitted = true;
+        e.message = `${e.message}\nID: ${song.id}\nName: ${song.name}`;
+        if (queue.dispatcher === dispatcher && queue.songs[0] === song && this._retrySong(message, queue, e)) return;
+        this._emitError(message, e);
+      });
+      if (crossfade) stream = new CrossfadeStream(stream);
+      dispatcher = queue.dispatcher = queue.connection.play(stream, {
+        highWaterMark: 1,
+        type: crossfade ? "converted" : "opus",
+        volume: this.options.fadeIn ? 0 : queue.volume / 100,
+        bitrate: "auto",
+      }).on("finish", () => this._handleSongFinish(message, queue))
+        .on("error", e => {
+          if (this._retrySong(message, queue, e)) return;
+          this._handlePlayingError(message, queue, errorEmitted ? null : e);
+        });
+      queue.songStartTime = 0;
+      // The stream is piped asynchronously, nothing has been played yet
+      if (paused) dispatcher.pause();
+      else if (this.options.fadeIn) this._fade(queue, dispatcher, 1, this.options.fadeIn);
+      if (crossfade || this.options.prefetchSongs > 0) this._watchNextSong(message, queue, dispatcher);
+      this._watchChapters(message, queue, dispatcher);
+      this._watchSegments(message, queue, dispatcher);
+      if (queue.stream) queue.stream.destroy();
+      queue.stream = stream;
+      this._saveQueue(queue);
+      this._prefetchSongs(message, queue);
+    } catch (e) {
+      this._handlePlayingError(message, queue, e);
+    }
+  }
+
+  /**
+   * Play the playing song again from where it stopped after a stream error
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {Queue} queue The guild queue
+   * @param {Error} error The stream error
+   * @returns {boolean} `false` if the song has been retried {@link DisTubeOptions}.streamRetries times
+   */
+  _retrySong(message, queue, error) {
+    let song = queue.songs[0];
+    if (!song || queue.stopped || !queue.dispatcher || queue.ending === queue.dispatcher) return false;
+    let attempt = queue.retry && queue.retry.song === song ? queue.retry.attempts + 1 : 1;
+    if (attempt > this.options.streamRetries) return false;
+    queue.retry = { song, attempts: attempt };
+    let position = song.isLive ? 0 : queue.currentTime;
+    // Destroying the dispatcher does not finish the song
+    if (!queue.dispatcher.destroyed) try { queue.dispatcher.destroy() } catch { }
+    // The stream URL may have expired, it is fetched again without the cached info
+    let expiredKey = null;
+    if (song.youtube) {
+      song.info = null;
+      expiredKey = `ytdl:info:${song.id}`;
+    } else if (song.plugin && typeof song.plugin.createStream !== "function") {
+      song.streamURL = null;
+      expiredKey = `youtube-dl:${song.url}`;
+    }
+    let cleared = this.cache && expiredKey ?
+      Promise.resolve().then(() => this.cache.delete(expiredKey)).catch(() => { }) :
+      Promise.resolve();
+    this.emit("streamRetry", message, queue, song, attempt, error);
+    setTimeout(() => cleared.then(() => {
+      if (queue.stopped || this.getQueue(message) !== queue || queue.songs[0] !== song) return;
+      queue.beginTime = position;
+      this._playSong(message);
+    }), this.options.streamRetryDelay * (2 ** (attempt - 1)));
+    return true;
+  }
+
+  /**
+   * Fetch the info of a YouTube song, or the stream url of another song, if it has not been fetched yet
+   * @async
+   * @private
+   * @ignore
+   * @param {Song} song The song
+   */
+  async _fetchSongInfo(song) {
+    // Queue.stream.on('info') should works but maybe DisTube#playSong will emit before ytdl#info
+    if (song.youtube ? song.info : song.streamURL) return;
+    if (!infoRequests.has(song)) {
+      let request = song.youtube ? this._getYouTubeInfo(song.url) : this._getStreamURL(song);
+      infoRequests.set(song, request);
+      request.then(() => infoRequests.delete(song), () => infoRequests.delete(song));
+    }
+    let info = await infoRequests.get(song);
+    if (!song.youtube) {
+      if (!song.streamURL) song.streamURL = info;
+      return;
+    }
+    if (song.info) return;
+    let { videoDetails } = song.info = info;
+    song.views = parseNumber(videoDetails.viewCount);
+    song.likes = parseNumber(videoDetails.likes);
+    song.dislikes = parseNumber(videoDetails.dislikes);
+    song.gain = loudnessGain(song.info);
+    song.chapters = parseChapters(videoDetails);
+    if (song.info.formats.length) {
+      song.streamURL = ytdl.chooseFormat(song.info.formats, {
+        filter: song.isLive ? "audioandvideo" : "audioonly",
+        quality: "highestaudio",
+      }).url;
+    }
+  }
+
+  /**
+   * Resolve a song again to get its stream url, which is not saved by {@link Song#toJSON} since it expires
+   * @async
+   * @private
+   * @ignore
+   * @param {Song} song The song
+   * @returns {Promise<?string>} `null` if the song is streamed by its plugin
+   */
+  async _getStreamURL(song) {
+    let plugin = song.plugin || await this._getPlugin(song.url);
+    if (!plugin) return null;
+    if (!song.plugin) song.plugin = plugin;
+    if (typeof plugin.createStream === "function") return null;
+    let resolved = await plugin.resolve(song.url, song.user);
+    if (Array.isArray(resolved)) resolved = resolved.find(s => s.url === song.url) || resolved[0];
+    return resolved ? resolved.streamURL : null;
+  }
+
+  /**
+   * Get the segments of a song from {@link DisTubeOptions}.segmentProvider if they have not been fetched yet
+   * @async
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {Song} song The song
+   */
+  async _fetchSegments(message, song) {
+    if (song.segments || !this.options.segmentProvider) return;
+    try {
+      song.segments = parseSegments(await this.options.segmentProvider(song) || []);
+    } catch (e) {
+      // The song is played without skipping segments
+      song.segments = [];
+      e.message = `Cannot get the segments: ${e.message}\nID: ${song.id}\nName: ${song.name}`;
+      this._emitError(message, e);
+    }
+  }
+
+  /**
+   * Get the segment to skip at a position of the playing song
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {number} time Position in milliseconds, relative to {@link Song#startTime}
+   * @returns {?Segment}
+   */
+  _getSkipSegment(queue, time) {
+    let song = queue.songs[0];
+    if (!song || !song.segments || song.isLive) return null;
+    let position = song.startTime + (time / 1000);
+    // Ignore the end of the segments, the song is played again from there after skipping
+    return song.segments.find(segment =>
+      this.options.skipSegments.includes(segment.category) &&
+      segment.start <= position && position < segment.end - 0.5,
+    ) || null;
+  }
+
+  /**
+   * Skip the segments of the playing song when they are reached
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {Queue} queue The guild queue
+   * @param {Discord.StreamDispatcher} dispatcher The playing dispatcher
+   */
+  _watchSegments(message, queue, dispatcher) {
+    const timer = setInterval(() => {
+      if (queue.dispatcher !== dispatcher || dispatcher.destroyed || queue.stopped) {
+        clearInterval(timer);
+        return;
+      }
+      if (queue.pause || queue.ending === dispatcher) return;
+      let segment = this._getSkipSegment(queue, queue.currentTime);
+      if (!segment) return;
+      // _playSong watches the song again
+      clearInterval(timer);
+      let song = queue.songs[0];
+      this.emit("segmentSkip", message, queue, segment);
+      if (song.duration && segment.end - song.startTime >= song.duration) this._endSong(queue);
+      else {
+        queue.beginTime = (segment.end - song.startTime) * 1000;
+        this._playSong(message);
+      }
+    }, 250);
+  }
+
+  /**
+   * Resolve the upcoming songs in the background, removing the ones which cannot be resolved
+   * @private
+   * @ignore
+   * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+   * @param {Queue} queue The guild queue
+   */
+  _prefetchSongs(message, queue) {
+    for (const song of queue.songs.slice(1, this.options.prefetchSongs + 1)) {
+      if (song.youtube ? song.info : song.streamURL) continue;
+      this._prefetchSong(song).catch(e => {
+        if (queue.stopped || this.getQueue(message) !== queue) return;
+        // The errors of the playing song are handled by _playSong
+        let index = queue.songs.indexOf(song);
+        if (index < 1) return;
+        queue.songs.splice(index, 1);
+        e.message = `${e.message}\nID: ${song.id}\nName: ${song.name}`;
+        this._emitError(message, e);
+        this._updateQueue(message, queue);
+      });
+    }
+  }
+
+  /**
+   * Fetch what an upcoming song needs to be played: its YouTube info or its stream url,
+   * the songs streamed by their plugin are checked with {@link ExtractorPlugin#getStreamURL}
+   * @async
+   * @private
+   * @ignore
+   * @param {Song} song The upcoming song
+   */
+  async _prefetchSong(song) {
+    await this._fetchSongInfo(song);
+    let plugin = song.youtube ? null : song.plugin;
+    if (plugin && typeof plugin.createStream === "function") await plugin.getStreamURL(song);
+    else if (!song.youtube && !song.streamURL) throw new Error("Cannot get the stream url of the song.");
+  }
+
+  /**
+   * Prefetch the stream of the next song when the playing one is ending, and crossfade it if the playing stream is a {@link CrossfadeStream}
+   * @private
+   * @ignore
+   * @param {Context} message The context of the command
+   * @param {Queue} queue The guild queue
+   * @param {Discord.StreamDispatcher} dispatcher The playing dispatcher
+   */
+  _watchNextSong(message, queue, dispatcher) {
+    const timer = setInterval(() => {
+      if (queue.dispatcher !== dispatcher || dispatcher.destroyed || queue.stopped) {
+        clearInterval(timer);
+        return;
+      }
+      let song = queue.songs[0];
+      if (!song || !song.duration || song.isLive || queue.pause || queue.ending === dispatcher) return;
+      let crossfade = queue.stream instanceof CrossfadeStream ? this.options.crossfade : 0;
+      let remaining = ((song.duration * 1000) - queue.currentTime) / queue.playbackRate;
+      if (remaining > crossfade + streamPrefetchTime) return;
+      let next = this._getNextSong(queue);
+      if (queue.next && queue.next.song !== next) this._cancelPrefetch(queue);
+      if (!next) return;
+      // Create the stream _playSong would create, crossfaded songs are mixed as PCM even if they are live
+      if (!queue.next) this._prefetchStream(message, queue, next, crossfade > 0 || (this.options.crossfade > 0 && !next.isLive));
+      else if (crossfade && queue.next.stream && queue.next.pcm && remaining <= crossfade) this._crossfade(message, queue);
+    }, 250);
   }
 
   /**
-   * `@2.7.0` Set the playing time to another position
-   *
-   * @param {Discord.Message} message The message from guild channel
-   * @param {number} time Time in milliseconds
-   * @example
-   * client.on('message', message => {
-   *     if (!message.content.startsWith(config.prefix)) return;
-   *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
-   *     const command = args.shift();
-   *     if (command = 'seek')
-   *         distube.seek(message, Number(args[0]));
-   * });
+   * Get the song which is played after the playing one finishes
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @returns {?Song} `null` if the next song is unknown or should not be prefetched
    */
-  seek(message, time) {
-    let queue = this.getQueue(message);
-    if (!queue) throw new Error("NotPlaying");
-    queue.beginTime = time;
-    this._playSong(message);
+  _getNextSong(queue) {
+    if (queue.repeatMode === 1 || queue.abLoop || queue.skipped || queue.prev) return null;
+    if (this.options.leaveOnEmpty && this._isVoiceChannelEmpty(queue)) return null;
+    return queue.songs[1] || null;
   }
 
   /**
-   * Emit error event
+   * Create the stream of the next song
+   * @async
    * @private
    * @ignore
+   * @param {Context} message The context of the command
+   * @param {Queue} queue The guild queue
+   * @param {Song} song The next song
+   * @param {boolean} pcm Whether or not creating a PCM stream, see {@link DisTube#_createStream}
    */
-  _emitError(message, error) {
-    if (this.listeners("error").length) this.emit("error", message, error);
-    else this.emit("error", error);
+  async _prefetchStream(message, queue, song, pcm) {
+    let next = queue.next = { song, stream: null, pcm, onError: null };
+    try {
+      await this._fetchSongInfo(song);
+      await this._fetchSegments(message, song);
+      let stream = await this._createStream(queue, song, 0, pcm);
+      next.onError = e => {
+        e.message = `${e.message}\nID: ${song.id}\nName: ${song.name}`;
+        this._emitError(message, e);
+      };
+      stream.on("error", next.onError);
+      if (queue.next === next) next.stream = stream;
+      else stream.destroy();
+    } catch {
+      // The song is played without prefetching, its error is handled then
+    }
   }
 
   /**
-   * Whether or not emit playSong event
+   * Get the prefetched stream of a song if it can be played, destroying the prefetched stream otherwise
    * @private
    * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {Song} song The song to play
+   * @param {boolean} pcm Whether or not the song is played as PCM
+   * @returns {?Readable}
    */
-  _emitPlaySong(queue) {
-    if (
-      !this.options.emitNewSongOnly ||
-      (
-        queue.repeatMode !== 1 &&
-        (!queue.songs[1] || queue.songs[0].id !== queue.songs[1].id)
-      )
-    ) return true;
-    return false;
+  _takePrefetchedStream(queue, song, pcm) {
+    let next = queue.next;
+    if (!next) return null;
+    queue.next = null;
+    // The prefetched stream may not have the new audio settings or begin time
+    if (next.song === song && next.stream && next.pcm === pcm && !queue.beginTime && !next.stream.destroyed) {
+      next.stream.removeListener("error", next.onError);
+      return next.stream;
+    }
+    if (next.stream) try { next.stream.destroy() } catch { }
+    return null;
   }
 
   /**
-   * Create a ytdl stream
+   * Destroy the prefetched stream of the next song
    * @private
    * @ignore
+   * @param {Queue} queue The guild queue
    */
-  _createStream(queue) {
-    let song = queue.songs[0];
-    let encoderArgs = queue.filter ? ["-af", this.filters[queue.filter]] : null;
-    let streamOptions = {
-      opusEncoded: true,
-      filter: song.isLive ? "audioandvideo" : "audioonly",
-      quality: "highestaudio",
-      highWaterMark: this.options.highWaterMark,
-      requestOptions: this.requestOptions,
-      encoderArgs,
-      seek: queue.beginTime / 1000,
-    };
-    if (song.youtube) return ytdl(song.info, streamOptions);
-    return ytdl.arbitraryStream(song.streamURL, streamOptions);
+  _cancelPrefetch(queue) {
+    if (queue.next && queue.next.stream) try { queue.next.stream.destroy() } catch { }
+    queue.next = null;
   }
 
   /**
-   * Play a song on voice connection
+   * Mix the prefetched next song in and move to it
    * @private
    * @ignore
-   * @param {Discord.Message} message The message from guild channel
+   * @param {Context} message The context of the command
+   * @param {Queue} queue The guild queue
    */
-  async _playSong(message) {
-    let queue = this.getQueue(message);
-    if (!queue) return;
-    if (!queue.songs.length) {
-      this._deleteQueue(message);
+  _crossfade(message, queue) {
+    let { song, stream } = queue.next;
+    queue.next = null;
+    if (!queue.stream.crossfade(stream, this.options.crossfade)) {
+      stream.destroy();
       return;
     }
-    let song = queue.songs[0];
-    try {
-      let errorEmitted = false;
-      // Queue.stream.on('info') should works but maybe DisTube#playSong will emit before ytdl#info
-      if (song.youtube && !song.info) {
-        let { videoDetails } = song.info = await ytdl.getInfo(song.url, { requestOptions: this.requestOptions });
-        song.views = parseNumber(videoDetails.viewCount);
-        song.likes = parseNumber(videoDetails.likes);
-        song.dislikes = parseNumber(videoDetails.dislikes);
-        if (song.info.formats.length) {
-          song.streamURL = ytdl.chooseFormat(song.info.formats, {
-            filter: song.isLive ? "audioandvideo" : "audioonly",
-            quality: "highestaudio",
-          }).url;
-        }
-      }
-      let stream = this._createStream(queue).on("error", e => {
-        errorEmitted = true;
-        e.message = `${e.message}\nID: ${song.id}\nName: ${song.name}`;
-        this._emitError(message, e);
-      });
-      queue.dispatcher = queue.connection.play(stream, {
-        highWaterMark: 1,
-        type: "opus",
-        volume: queue.volume / 100,
-        bitrate: "auto",
-      }).on("finish", () => this._handleSongFinish(message, queue))
-        .on("error", e => {
-          this._handlePlayingError(message, queue, errorEmitted ? null : e);
-        });
-      if (queue.stream) queue.stream.destroy();
-      queue.stream = stream;
-    } catch (e) {
-      this._handlePlayingError(message, queue, e);
-    }
+    this.emit("songFinish", message, queue, queue.songs[0], "ended");
+    const emitSong = this._emitPlaySong(queue);
+    if (queue.repeatMode === 2) queue.songs.push(queue.songs[0]);
+    this._addToHistory(queue, queue.songs.shift());
+    queue.songStartTime = queue.dispatcher.streamTime;
+    queue.beginTime = 0;
+    this._updateQueue(message, queue);
+    if (emitSong) this.emit("playSong", message, queue, song);
+  }
+
+  /**
+   * Add a played song to {@link Queue#previousSongs} and {@link Queue#playedIDs}
+   * @private
+   * @ignore
+   * @param {Queue} queue The guild queue
+   * @param {Song} song The played song
+   */
+  _addToHistory(queue, song) {
+    queue.previousSongs.push(song);
+    if (queue.previousSongs.length > this.options.historySize) queue.previousSongs.shift();
+    queue.playedIDs.add(song.id);
   }
 
   /**
    * Handle the queue when a Song finish
    * @private
    * @ignore
-   * @param {Discord.Message} message message
+   * @param {Context} message The context of the command
    * @param {Queue} queue queue
    */
   async _handleSongFinish(message, queue) {
     if (queue.stopped) return;
+    queue.retry = null;
+    if (queue.abLoop) {
+      if (!queue.skipped && !queue.prev) {
+        queue.beginTime = queue.abLoop.start;
+        await this._playSong(message);
+        return;
+      }
+      queue.abLoop = null;
+      this.emit("abLoopChange", message, queue, null);
+    }
+    this.emit("songFinish", message, queue, queue.songs[0], queue.skipped || queue.prev ? "skipped" : "ended");
     if (this.options.leaveOnEmpty && this._isVoiceChannelEmpty(queue)) {
       this._deleteQueue(message);
-      queue.connection.channel.leave();
+      queue.connection.disconnect();
       this.emit("empty", message);
       return;
     }
+    if (queue.prev) {
+      queue.prev = false;
+      queue.skipped = false;
+      queue.beginTime = 0;
+      let previous = queue.previousSongs.pop();
+      // The previous song is also the last one of the looping queue
+      if (queue.repeatMode === 2 && queue.songs.length > 1 && queue.songs[queue.songs.length - 1] === previous) queue.songs.pop();
+      queue.songs.unshift(previous);
+      this._updateQueue(message, queue);
+      await this._playSong(message);
+      this.emit("playSong", message, queue, previous);
+      return;
+    }
     if (queue.repeatMode === 2 && !queue.skipped) queue.songs.push(queue.songs[0]);
     if (queue.songs.length <= 1 && (queue.skipped || !queue.repeatMode)) {
       if (queue.autoplay) try { await this.addRelatedVideo(message) } catch { this.emit("noRelated", message) }
       if (queue.songs.length <= 1) {
         this._deleteQueue(message);
-        if (this.options.leaveOnFinish && !queue.stopped) queue.connection.channel.leave();
+        if (this.options.leaveOnFinish && !queue.stopped) queue.connection.disconnect();
         if (!queue.autoplay) this.emit("finish", message);
         return;
       }
     }
     const emitSong = this._emitPlaySong(queue);
     if (queue.repeatMode !== 1 || queue.skipped) {
-      const { id } = queue.songs.shift();
-      queue.previousSongs.push(id);
+      this._addToHistory(queue, queue.songs.shift());
+      this._updateQueue(message, queue);
     }
     queue.skipped = false;
     queue.beginTime = 0;
@@ -963,12 +2842,19 @@ class DisTube extends EventEmitter {
    * Handle error while playing
    * @private
    * @ignore
-   * @param {Discord.Message} message message
+   * @param {Context} message The context of the command
    * @param {Queue} queue queue
    * @param {Error} error error
    */
   _handlePlayingError(message, queue, error = null) {
+    this.emit("songFinish", message, queue, queue.songs[0], "error");
+    if (queue.abLoop) {
+      queue.abLoop = null;
+      this.emit("abLoopChange", message, queue, null);
+    }
+    queue.retry = null;
     let song = queue.songs.shift();
+    this._updateQueue(message, queue);
     if (error) {
       error.message = `${error.message}\nID: ${song.id}\nName: ${song.name}`;
       this._emitError(message, error);
@@ -976,15 +2862,50 @@ class DisTube extends EventEmitter {
     if (queue.songs.length > 0) this._playSong(message).then(() => this.emit("playSong", message, queue, queue.songs[0]));
     else try { this.stop(message) } catch { this._deleteQueue(message) }
   }
+
+  /**
+   * Emit an event, the listeners get the original message instead of the {@link Context} of a command from a message
+   * @private
+   * @ignore
+   * @param {string} event The event name
+   * @param {...*} args The event arguments
+   * @returns {boolean}
+   */
+  emit(event, ...args) {
+    if (args[0] instanceof Context && args[0].message) args[0] = args[0].message;
+    return super.emit(event, ...args);
+  }
 }
 
 module.exports = DisTube;
+module.exports.Context = Context;
+module.exports.ExtractorPlugin = ExtractorPlugin;
+module.exports.QueueStore = QueueStore;
+module.exports.JSONFileStore = JSONFileStore;
+module.exports.MetadataCache = MetadataCache;
+module.exports.MemoryCache = MemoryCache;
+module.exports.VoiceBackend = VoiceBackend;
+module.exports.LegacyVoiceBackend = LegacyVoiceBackend;
+module.exports.DiscordVoiceBackend = DiscordVoiceBackend;
+module.exports.equalizerPresets = equalizerPresets;
+
+/**
+ * `@2.9.0` Emitted after the A-B loop is set with {@link DisTube#setABLoop|setABLoop()} or cleared
+ * with {@link DisTube#clearABLoop|clearABLoop()} or when the song is skipped
+ *
+ * @event DisTube#abLoopChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {?{start: number, end: number}} section The repeated section in milliseconds, `null` if cleared
+ * @example
+ * distube.on("abLoopChange", (message, queue, section) => message.channel.send(section ? "Looping the section" : "A-B loop cleared"));
+ */
 
 /**
  *  Emitted after DisTube add playlist to guild queue
  *
  * @event DisTube#addList
- * @param {Discord.Message} message The message from guild channel
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
  * @param {Queue} queue The guild queue
  * @param {Playlist} playlist Playlist info
  * @since 1.1.0
@@ -999,7 +2920,7 @@ module.exports = DisTube;
  *  Emitted after DisTube add new song to guild queue
  *
  * @event DisTube#addSong
- * @param {Discord.Message} message The message from guild channel
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
  * @param {Queue} queue The guild queue
  * @param {Song} song Added song
  * @example
@@ -1009,20 +2930,77 @@ module.exports = DisTube;
  * ));
  */
 
+/**
+ * `@2.9.0` Emitted after {@link Queue#autoplay} is toggled with {@link DisTube#toggleAutoplay|toggleAutoplay()}
+ *
+ * @event DisTube#autoplayChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {boolean} autoplay The new autoplay mode
+ * @example
+ * distube.on("autoplayChange", (message, queue, autoplay) => message.channel.send(`Autoplay: ${autoplay ? "On" : "Off"}`));
+ */
+
+/**
+ * `@2.9.0` Emitted when the playing song reaches another chapter or a chapter is played with
+ * {@link DisTube#nextChapter|nextChapter()}, {@link DisTube#previousChapter|previousChapter()} or {@link DisTube#jumpToChapter|jumpToChapter()}.
+ * Not emitted for the first chapter of a new song.
+ *
+ * @event DisTube#chapterChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Chapter} chapter The playing chapter
+ * @example
+ * distube.on("chapterChange", (message, queue, chapter) => message.channel.send(`Chapter: ${chapter.title}`));
+ */
+
+/**
+ * `@2.9.0` Emitted after DisTube removes all the upcoming songs with {@link DisTube#clear|clear()}
+ *
+ * @event DisTube#clearQueue
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Song[]} songs Removed songs
+ * @example
+ * distube.on("clearQueue", (message, queue, songs) => message.channel.send(`Removed ${songs.length} songs from the queue`));
+ */
+
+/**
+ * `@2.9.0` Emitted when the bot is disconnected from the voice channel without {@link DisTube#stop|stop()},
+ * e.g. it is kicked or the connection cannot be recovered. The queue is stopped.
+ *
+ * @event DisTube#disconnect
+ * @param {Discord.Message|Context} message The message which initialized the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @example
+ * distube.on("disconnect", message => message.channel.send("Disconnected from the voice channel"));
+ */
+
 /**
  * Emitted when there is no user in VoiceChannel and {@link DisTubeOptions}.leaveOnEmpty is `true`.
  *
  * @event DisTube#empty
- * @param {Discord.Message} message The message from guild channel
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
  * @example
  * distube.on("empty", message => message.channel.send("Channel is empty. Leaving the channel"))
  */
 
+/**
+ * `@2.9.0` Emitted after the equalizer is changed with {@link DisTube#setEqualizer|setEqualizer()}
+ *
+ * @event DisTube#equalizerChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {?Equalizer} equalizer The equalizer settings, `null` if disabled
+ * @example
+ * distube.on("equalizerChange", (message, queue, equalizer) => message.channel.send(`Equalizer: ${equalizer ? "On" : "Off"}`));
+ */
+
 /**
  * Emitted when {@link DisTube} encounters an error.
  *
  * @event DisTube#error
- * @param {Discord.Message} message The message from guild channel
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
  * @param {Error} err The error encountered
  * @example
  * distube.on("error", (message, err) => message.channel.send(
@@ -1030,12 +3008,25 @@ module.exports = DisTube;
  * ));
  */
 
+/**
+ * `@2.9.0` Emitted after the queue filters are changed with {@link DisTube#setFilter|setFilter()},
+ * {@link DisTube#addFilter|addFilter()}, {@link DisTube#removeFilter|removeFilter()},
+ * {@link DisTube#setFilters|setFilters()} or {@link DisTube#clearFilters|clearFilters()}
+ *
+ * @event DisTube#filterChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Filter[]} filters The enabled filters
+ * @example
+ * distube.on("filterChange", (message, queue, filters) => message.channel.send(`Filters: ${filters.join(", ") || "Off"}`));
+ */
+
 /**
  * Emitted when there is no more song in the queue and {@link Queue#autoplay} is `false`.
  * DisTube will leave voice channel if {@link DisTubeOptions}.leaveOnFinish is `true`
  *
  * @event DisTube#finish
- * @param {Discord.Message} message The message from guild channel
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
  * @example
  * distube.on("finish", message => message.channel.send("No more song in queue"));
  */
@@ -1048,26 +3039,71 @@ module.exports = DisTube;
  * @example
  * distube.on("initQueue", queue => {
  *     queue.autoplay = false;
- *     queue.volume = 100;
  * });
  */
 
+/**
+ * `@2.9.0` Emitted after DisTube inserts songs with {@link DisTube#insert|insert()}
+ *
+ * @event DisTube#insertSong
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Song[]} songs Inserted songs
+ * @param {number} position Song number of the first inserted song
+ * @example
+ * distube.on("insertSong", (message, queue, songs, position) => message.channel.send(`Inserted ${songs[0].name} at position ${position}`));
+ */
+
+/**
+ * `@2.9.0` Emitted after DisTube moves a song with {@link DisTube#move|move()}
+ *
+ * @event DisTube#moveSong
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Song} song Moved song
+ * @param {number} from Old song number
+ * @param {number} to New song number
+ * @example
+ * distube.on("moveSong", (message, queue, song, from, to) => message.channel.send(`Moved ${song.name} from ${from} to ${to}`));
+ */
+
 /**
  * Emitted when {@link Queue#autoplay} is `true`, the {@link Queue#songs} is empty and
  * DisTube cannot find related songs to play
  *
  * @event DisTube#noRelated
- * @param {Discord.Message} message The message from guild channel
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
  * @example
  * distube.on("noRelated", message => message.channel.send("Can't find related video to play. Stop playing music."));
  */
 
+/**
+ * `@2.9.0` Emitted after the queue is paused with {@link DisTube#pause|pause()}
+ *
+ * @event DisTube#pause
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @example
+ * distube.on("pause", (message, queue) => message.channel.send("Paused"));
+ */
+
+/**
+ * `@2.9.0` Emitted after the pitch is changed with {@link DisTube#setPitch|setPitch()}
+ *
+ * @event DisTube#pitchChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {number} pitch The new pitch factor
+ * @example
+ * distube.on("pitchChange", (message, queue, pitch) => message.channel.send(`Pitch: ${pitch}x`));
+ */
+
 /**
  * Emitted after DisTube play the first song of the playlist
  * and add the rest to the guild queue
  *
  * @event DisTube#playList
- * @param {Discord.Message} message The message from guild channel
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
  * @param {Queue} queue The guild queue
  * @param {Playlist} playlist Playlist info
  * @param {Song} song Playing song
@@ -1083,7 +3119,7 @@ module.exports = DisTube;
  * If {@link DisTubeOptions}.emitNewSongOnly is `true`, event is not emitted when looping a song or next song is the previous one
  *
  * @event DisTube#playSong
- * @param {Discord.Message} message The message from guild channel
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
  * @param {Queue} queue The guild queue
  * @param {Song} song Playing song
  * @example
@@ -1093,12 +3129,78 @@ module.exports = DisTube;
  * ));
  */
 
+/**
+ * `@2.9.0` Emitted after the songs of the queue change: songs added, removed, reordered or the next song played
+ *
+ * @event DisTube#queueUpdate
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @example
+ * distube.on("queueUpdate", (message, queue) => updateQueueMessage(queue));
+ */
+
+/**
+ * `@2.9.0` Emitted after DisTube removes the duplicated songs with {@link DisTube#removeDuplicates|removeDuplicates()}
+ *
+ * @event DisTube#removeDuplicates
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Song[]} songs Removed songs
+ * @example
+ * distube.on("removeDuplicates", (message, queue, songs) => message.channel.send(`Removed ${songs.length} duplicated songs`));
+ */
+
+/**
+ * `@2.9.0` Emitted after DisTube removes songs with {@link DisTube#remove|remove()}
+ *
+ * @event DisTube#removeSong
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Song[]} songs Removed songs
+ * @example
+ * distube.on("removeSong", (message, queue, songs) => message.channel.send(`Removed ${songs.map(song => song.name).join(", ")}`));
+ */
+
+/**
+ * `@2.9.0` Emitted after the repeat mode is changed with {@link DisTube#setRepeatMode|setRepeatMode()}
+ *
+ * @event DisTube#repeatModeChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {number} mode The new repeat mode
+ * @example
+ * distube.on("repeatModeChange", (message, queue, mode) => message.channel.send(`Repeat mode: ${mode}`));
+ */
+
+/**
+ * `@2.9.0` Emitted after DisTube restores a queue with {@link DisTube#restoreQueues}
+ *
+ * @event DisTube#restoreQueue
+ * @param {Discord.Message|Context} message The message which initialized the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The restored queue
+ * @example
+ * distube.on("restoreQueue", (message, queue) => message.channel.send(
+ *     `Resumed \`${queue.songs[0].name}\` at \`${queue.formattedCurrentTime}\``
+ * ));
+ */
+
+/**
+ * `@2.9.0` Emitted after the queue is resumed with {@link DisTube#resume|resume()}
+ *
+ * @event DisTube#resume
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @example
+ * distube.on("resume", (message, queue) => message.channel.send("Resumed"));
+ */
+
 /**
  * Emitted when {@link DisTubeOptions}.searchSongs is `true`.
- * Search will be canceled if user's next message is invalid number or timeout (60s)
+ * Search will be canceled if user's next message is invalid number or timeout ({@link DisTubeOptions}.searchTimeout),
+ * or if {@link DisTubeOptions}.searchChooser does not choose a result.
  *
  * @event DisTube#searchCancel
- * @param {Discord.Message} message The message from guild channel
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
  * @example
  * // DisTubeOptions.searchSongs = true
  * distube.on("searchCancel", (message) => message.channel.send(`Searching canceled`));
@@ -1106,12 +3208,12 @@ module.exports = DisTube;
 
 /**
  * Emitted when {@link DisTubeOptions}.searchSongs is `true`.
- * DisTube will wait for user's next message to choose song manually
+ * DisTube will wait for user's next message, or {@link DisTubeOptions}.searchChooser, to choose song manually
  * if song param of {@link DisTube#play|play()} is invalid url
  *
  * @event DisTube#searchResult
- * @param {Discord.Message} message The message from guild channel
- * @param {SearchResult[]} result Searched result (max length = 12)
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {SearchResult[]} result Searched result (max length = {@link DisTubeOptions}.searchResultCount)
  * @example
  * // DisTubeOptions.searchSongs = true
  * distube.on("searchResult", (message, result) => {
@@ -1119,3 +3221,98 @@ module.exports = DisTube;
  *     message.channel.send(`**Choose an option from below**\n${result.map(song => `**${++i}**. ${song.name} - \`${song.formattedDuration}\``).join("\n")}\n*Enter anything else or wait 60 seconds to cancel*`);
  * });
  */
+
+/**
+ * `@2.9.0` Emitted after the playing song is seeked with {@link DisTube#seek|seek()}
+ *
+ * @event DisTube#seek
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {number} time The new position in milliseconds
+ * @example
+ * distube.on("seek", (message, queue, time) => message.channel.send(`Seeked to ${queue.formattedCurrentTime}`));
+ */
+
+/**
+ * `@2.9.0` Emitted when a segment of the playing song is skipped.
+ * See {@link DisTubeOptions}.segmentProvider and {@link DisTubeOptions}.skipSegments
+ *
+ * @event DisTube#segmentSkip
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Segment} segment The skipped segment
+ * @example
+ * distube.on("segmentSkip", (message, queue, segment) => message.channel.send(`Skipped ${segment.category} segment`));
+ */
+
+/**
+ * `@2.9.0` Emitted when a song stops playing, before the next one starts.
+ * With {@link DisTubeOptions}.crossfade, it is emitted when the next song starts fading in.
+ *
+ * @event DisTube#songFinish
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Song} song The finished song
+ * @param {("ended"|"skipped"|"error"|"stopped")} reason Why the song finished
+ * @example
+ * distube.on("songFinish", (message, queue, song, reason) => console.log(`${song.name} finished: ${reason}`));
+ */
+
+/**
+ * `@2.9.0` Emitted after the playback speed is changed with {@link DisTube#setSpeed|setSpeed()}
+ *
+ * @event DisTube#speedChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {number} speed The new playback speed factor
+ * @example
+ * distube.on("speedChange", (message, queue, speed) => message.channel.send(`Speed: ${speed}x`));
+ */
+
+/**
+ * `@2.9.0` Emitted when the playing song is played again from where it stopped after a stream error.
+ * The song is skipped with {@link DisTube#event:error} after {@link DisTubeOptions}.streamRetries attempts.
+ *
+ * @event DisTube#streamRetry
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Song} song The retried song
+ * @param {number} attempt The retry number, starting from 1
+ * @param {Error} error The stream error
+ * @example
+ * distube.on("streamRetry", (message, queue, song, attempt) => console.log(`Retrying ${song.name} (${attempt})`));
+ */
+
+/**
+ * `@2.9.0` Emitted after DisTube swaps two songs with {@link DisTube#swap|swap()}
+ *
+ * @event DisTube#swapSong
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {Song} first The first song
+ * @param {Song} second The second song
+ * @example
+ * distube.on("swapSong", (message, queue, first, second) => message.channel.send(`Swapped ${first.name} and ${second.name}`));
+ */
+
+/**
+ * `@2.9.0` Emitted after the tempo is changed with {@link DisTube#setTempo|setTempo()}
+ *
+ * @event DisTube#tempoChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {number} tempo The new tempo factor
+ * @example
+ * distube.on("tempoChange", (message, queue, tempo) => message.channel.send(`Tempo: ${tempo}x`));
+ */
+
+/**
+ * `@2.9.0` Emitted after the volume is changed with {@link DisTube#setVolume|setVolume()}
+ *
+ * @event DisTube#volumeChange
+ * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+ * @param {Queue} queue The guild queue
+ * @param {number} volume The new volume
+ * @example
+ * distube.on("volumeChange", (message, queue, volume) => message.channel.send(`Volume: ${volume}%`));
+ */
@@ -102,6 +102,35 @@ class Playlist {
   get formattedDuration() {
     return formatDuration(this.duration * 1000)
   }
+
+  /**
+   * `@2.9.0` Serialize the playlist. See {@link Song#toJSON}.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      url: this.url,
+      thumbnail: this.thumbnail,
+      user: this.user ? this.user.id : null,
+      songs: this.songs.map(song => song.toJSON()),
+    };
+  }
+
+  /**
+   * `@2.9.0` Create a playlist from {@link Playlist#toJSON} data.
+   * @param {Object} json Serialized playlist
+   * @param {DisTube} distube DisTube, used to resolve the users and the plugins
+   * @returns {Playlist}
+   */
+  static fromJSON(json, distube) {
+    let user = json.user && distube ? distube.client.users.cache.get(json.user) || null : null;
+    return new Playlist(json.songs.map(song => Song.fromJSON(song, distube)), user, {
+      name: json.name,
+      url: json.url,
+      thumbnail: json.thumbnail,
+    });
+  }
 }
 
 module.exports = Playlist;
@@ -1,5 +1,6 @@
 /* eslint no-unused-vars: "off" */
 const { formatDuration } = require("./duration"),
+  { toM3U, toXSPF } = require("./playlistFile"),
   Discord = require("discord.js"),
   Song = require("./Song"),
   DisTube = require("./DisTube");
@@ -10,17 +11,17 @@ const { formatDuration } = require("./duration"),
 class Queue {
   /**
   * Create a queue.
-  * @param {Discord.Message} message Discord.Message
+  * @param {Context} context The context which initializes the queue
   * @param {Song} song The first Song of the Queue
   */
-  constructor(message, song) {
+  constructor(context, song) {
     /**
-     * Stream dispatcher.
+     * Stream dispatcher, created by the voice connection. See {@link VoiceBackend}
      * @type {Discord.StreamDispatcher}
      */
     this.dispatcher = null;
     /**
-     * Voice connection.
+     * Voice connection, created by {@link DisTube#voice}. See {@link VoiceBackend}
      * @type {Discord.VoiceConnection}
      */
     this.connection = null;
@@ -29,6 +30,16 @@ class Queue {
      * @type {number}
      */
     this.volume = 50;
+    /**
+     * `@2.9.0` Minimum volume of {@link DisTube#setVolume}, see {@link DisTube#setVolumeBounds}.
+     * @type {number}
+     */
+    this.minVolume = 0;
+    /**
+     * `@2.9.0` Maximum volume of {@link DisTube#setVolume}, see {@link DisTube#setVolumeBounds}.
+     * @type {number}
+     */
+    this.maxVolume = 200;
     /**
      * List of songs
      * @type {Song[]}
@@ -59,33 +70,155 @@ class Queue {
      * @type {number}
      */
     this.repeatMode = 0;
+    /**
+     * `@2.9.0` The section (in milliseconds) of the playing song which is repeated, `null` if disabled.
+     * See {@link DisTube#setABLoop}
+     * @type {?{start: number, end: number}}
+     */
+    this.abLoop = null;
     /**
      * Whether or not the autoplay mode is enabled.
      * @type {boolean}
      */
     this.autoplay = true;
     /**
-     * `@2.0.0` Queue audio filter.
+     * `@2.9.0` Enabled audio filters, applied in order.
      * Available filters: {@link Filter}
-     * @type {DisTube.Filter}
+     * @type {DisTube.Filter[]}
      */
-    this.filter = null;
+    this.filters = [];
     /**
-     * `@2.2.0` Message which initialize the queue
-     * @type {Discord.Message}
+     * `@2.9.0` Equalizer settings, `null` if disabled.
+     * See {@link DisTube#setEqualizer}
+     * @type {?DisTube.Equalizer}
+     */
+    this.equalizer = null;
+    /**
+     * `@2.9.0` Playback speed, changes both the tempo and the pitch. See {@link DisTube#setSpeed}
+     * @type {number}
      */
-    this.initMessage = message;
+    this.speed = 1;
+    /**
+     * `@2.9.0` Pitch factor, does not change the tempo. See {@link DisTube#setPitch}
+     * @type {number}
+     */
+    this.pitch = 1;
+    /**
+     * `@2.9.0` Tempo factor, does not change the pitch. See {@link DisTube#setTempo}
+     * @type {number}
+     */
+    this.tempo = 1;
+    /**
+     * `@2.9.0` The context which initializes the queue, passed to the events of the queue
+     * @type {Context}
+     */
+    this.context = context;
     /**
      * `@2.5.0` ytdl stream
      * @type {Readable}
      */
     this.stream = null;
     /**
-     * `@2.7.0` What time in the song to begin (in milliseconds).
+     * `@2.7.0` What time in the song to begin (in milliseconds), from the {@link Song#startTime} of clipped songs.
      * @type {number}
      */
     this.beginTime = 0;
+    /**
+     * `@2.9.0` Played songs, the oldest first.
+     * Limited to {@link DisTubeOptions}.historySize songs.
+     * **Breaking change:** it was an array of the played song IDs before `2.9.0`, use {@link Queue#playedIDs} instead.
+     * @type {Song[]}
+     */
     this.previousSongs = [];
+    /**
+     * `@2.9.0` IDs of all the songs played in the queue, not limited by {@link DisTubeOptions}.historySize.
+     * Autoplay does not add them again.
+     * @type {Set<string>}
+     */
+    this.playedIDs = new Set();
+    /**
+     * `@2.9.0` Whether or not the previous song will be played after the current one ends.
+     * @type {boolean}
+     * @private
+     * @ignore
+     */
+    this.prev = false;
+    /**
+     * `@2.9.0` Dispatcher stream time (in milliseconds) when the playing song started,
+     * not 0 if the song has been crossfaded in.
+     * @type {number}
+     * @private
+     * @ignore
+     */
+    this.songStartTime = 0;
+    /**
+     * `@2.9.0` The running volume fade.
+     * @type {?{cancel: Function}}
+     * @private
+     * @ignore
+     */
+    this.fading = null;
+    /**
+     * `@2.9.0` The dispatcher fading out before ending.
+     * @type {?Discord.StreamDispatcher}
+     * @private
+     * @ignore
+     */
+    this.ending = null;
+    /**
+     * `@2.9.0` The next song and its prefetched stream, played or crossfaded in when the playing song ends.
+     * @type {?{song: Song, stream: ?Readable, pcm: boolean, onError: ?Function}}
+     * @private
+     * @ignore
+     */
+    this.next = null;
+    /**
+     * `@2.9.0` The running volume ramp.
+     * @type {?{cancel: Function}}
+     * @private
+     * @ignore
+     */
+    this.volumeRamp = null;
+    /**
+     * `@2.9.0` The last chapter seen playing, to emit {@link DisTube#event:chapterChange}.
+     * @type {?{song: Song, chapter: ?Chapter}}
+     * @private
+     * @ignore
+     */
+    this.chapter = null;
+    /**
+     * `@2.9.0` The song played again after stream errors and the number of attempts.
+     * @type {?{song: Song, attempts: number}}
+     * @private
+     * @ignore
+     */
+    this.retry = null;
+  }
+  /**
+   * `@2.2.0` Message which initialize the queue, `null` if the queue is not initialized by a message. See {@link Queue#context}
+   * @type {?Discord.Message}
+   */
+  get initMessage() {
+    return this.context ? this.context.message : null;
+  }
+  /**
+   * `@2.9.0` Played songs, the most recent first.
+   * @type {Song[]}
+   */
+  get history() {
+    return this.previousSongs.slice().reverse();
+  }
+  /**
+   * `@2.0.0` Queue audio filter, the last enabled one of {@link Queue#filters}.
+   * Setting it replaces all the enabled filters.
+   * Available filters: {@link Filter}
+   * @type {?DisTube.Filter}
+   */
+  get filter() {
+    return this.filters[this.filters.length - 1] || null;
+  }
+  set filter(filter) {
+    this.filters = filter ? [filter] : [];
   }
   /**
    * Formatted duration string.
@@ -95,18 +228,58 @@ class Queue {
     return formatDuration(this.duration * 1000)
   }
   /**
-   * Queue's duration.
+   * Queue's duration, the total duration of its songs.
+   * Like {@link Queue#currentTime}, it does not depend on {@link Queue#playbackRate}, see {@link Queue#remainingTime}.
    * @type {number}
    */
   get duration() {
     return this.songs.reduce((prev, next) => prev + next.duration, 0)
   }
+  /**
+   * `@2.9.0` The time (in milliseconds) needed to play the rest of the queue at {@link Queue#playbackRate}.
+   * @type {number}
+   */
+  get remainingTime() {
+    let played = this.dispatcher ? this.currentTime : this.beginTime;
+    return Math.max((this.duration * 1000) - played, 0) / this.playbackRate;
+  }
+  /**
+   * `@2.9.0` Formatted {@link Queue#remainingTime} string.
+   * @type {string}
+   */
+  get formattedRemainingTime() {
+    return formatDuration(this.remainingTime);
+  }
+  /**
+   * `@2.9.0` How fast the songs are played, combining {@link Queue#speed} and {@link Queue#tempo}.
+   * @type {number}
+   */
+  get playbackRate() {
+    return this.speed * this.tempo;
+  }
   /**
    * `@2.7.0` What time in the song is playing (in milliseconds).
+   * It is the position in the song, not the time elapsed since it began when {@link Queue#playbackRate} is not 1.
+   * The position in clipped songs is counted from their {@link Song#startTime}.
    * @type {number}
    */
   get currentTime() {
-    return this.dispatcher.streamTime + this.beginTime;
+    return ((this.dispatcher.streamTime - this.songStartTime) * this.playbackRate) + this.beginTime;
+  }
+  /**
+   * `@2.9.0` The playing chapter of the playing song, `null` if the song has no chapters.
+   * @type {?Chapter}
+   */
+  get currentChapter() {
+    let song = this.songs[0];
+    if (!song || !song.chapters.length || !this.dispatcher) return null;
+    let time = song.startTime + (this.currentTime / 1000);
+    let chapter = null;
+    for (const c of song.chapters) {
+      if (c.startTime > time) break;
+      chapter = c;
+    }
+    return chapter;
   }
   /**
    * `@2.8.0` Formatted {@link Queue#currentTime} string.
@@ -115,6 +288,86 @@ class Queue {
   get formattedCurrentTime() {
     return formatDuration(this.currentTime);
   }
+
+  /**
+   * `@2.9.0` Serialize the queue. The voice connection, the dispatcher and the stream are omitted,
+   * the guild and channels are replaced by their IDs. See {@link Song#toJSON}.
+   * @returns {Object}
+   */
+  toJSON() {
+    let context = this.context;
+    return {
+      guild: context ? context.guild.id : null,
+      textChannel: context && context.channel ? context.channel.id : null,
+      message: context && context.message ? context.message.id : null,
+      voiceChannel: this.connection && this.connection.channel ? this.connection.channel.id : null,
+      songs: this.songs.map(song => song.toJSON()),
+      previousSongs: this.previousSongs.map(song => song.toJSON()),
+      playedIDs: [...this.playedIDs],
+      currentTime: this.dispatcher ? this.currentTime : this.beginTime,
+      volume: this.volume,
+      minVolume: this.minVolume,
+      maxVolume: this.maxVolume,
+      paused: this.pause,
+      repeatMode: this.repeatMode,
+      abLoop: this.abLoop,
+      autoplay: this.autoplay,
+      filters: this.filters,
+      equalizer: this.equalizer,
+      speed: this.speed,
+      pitch: this.pitch,
+      tempo: this.tempo,
+    };
+  }
+
+  /**
+   * `@2.9.0` Create a queue from {@link Queue#toJSON} data.
+   * The queue is not connected to any voice channel, {@link Queue#beginTime} is set to the saved position.
+   * @param {Object} json Serialized queue
+   * @param {DisTube} distube DisTube, used to resolve the users and the plugins
+   * @param {Context} [context=null] The context which initializes the queue
+   * @returns {Queue}
+   */
+  static fromJSON(json, distube, context = null) {
+    let songs = json.songs.map(song => Song.fromJSON(song, distube));
+    let queue = new Queue(context, songs[0]);
+    queue.songs = songs;
+    queue.previousSongs = (json.previousSongs || []).map(song => Song.fromJSON(song, distube));
+    queue.playedIDs = new Set(json.playedIDs || queue.previousSongs.map(song => song.id));
+    queue.beginTime = json.currentTime || 0;
+    queue.volume = json.volume;
+    if (typeof json.minVolume === "number") queue.minVolume = json.minVolume;
+    if (typeof json.maxVolume === "number") queue.maxVolume = json.maxVolume;
+    queue.pause = !!json.paused;
+    queue.playing = !queue.pause;
+    queue.repeatMode = json.repeatMode;
+    queue.abLoop = json.abLoop || null;
+    queue.autoplay = json.autoplay;
+    queue.filters = json.filters || (json.filter ? [json.filter] : []);
+    queue.equalizer = json.equalizer || null;
+    queue.speed = json.speed || 1;
+    queue.pitch = json.pitch || 1;
+    queue.tempo = json.tempo || 1;
+    return queue;
+  }
+
+  /**
+   * `@2.9.0` Export the queue songs as a M3U8 playlist.
+   * @param {string} [name] Playlist name
+   * @returns {string}
+   */
+  toM3U(name) {
+    return toM3U(this.songs, name);
+  }
+
+  /**
+   * `@2.9.0` Export the queue songs as a XSPF playlist.
+   * @param {string} [name] Playlist name
+   * @returns {string}
+   */
+  toXSPF(name) {
+    return toXSPF(this.songs, name);
+  }
 }
 
 module.exports = Queue;
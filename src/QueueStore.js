@@ -0,0 +1,53 @@
+/* eslint no-unused-vars: "off" */
+const Discord = require("discord.js");
+
+/**
+ * `@2.9.0` Class representing a queue store, used to persist guild queues across restarts.
+ * Extend it and set the instance to {@link DisTubeOptions}.queueStore.
+ * The data are created by {@link Queue#toJSON}.
+ * @abstract
+ * @example
+ * class RedisQueueStore extends QueueStore {
+ *     constructor(redis) { super(); this.redis = redis }
+ *     async load() {
+ *         const data = await this.redis.hgetall("distube:queues");
+ *         for (const id in data) data[id] = JSON.parse(data[id]);
+ *         return data;
+ *     }
+ *     save(guildID, queue) { return this.redis.hset("distube:queues", guildID, JSON.stringify(queue)) }
+ *     delete(guildID) { return this.redis.hdel("distube:queues", guildID) }
+ * }
+ */
+class QueueStore {
+  /**
+   * Load all the saved queues
+   * @async
+   * @returns {Promise<Object.<string, Object>>} Serialized queues keyed by guild ID
+   */
+  async load() {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  /**
+   * Save a queue
+   * @async
+   * @param {Discord.Snowflake} guildID The guild ID
+   * @param {Object} queue Serialized queue
+   * @returns {Promise<void>}
+   */
+  async save(guildID, queue) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Delete a saved queue
+   * @async
+   * @param {Discord.Snowflake} guildID The guild ID
+   * @returns {Promise<void>}
+   */
+  async delete(guildID) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+}
+
+module.exports = QueueStore;
@@ -1,6 +1,9 @@
 /* eslint-disable complexity */
 /* eslint no-unused-vars: "off" */
 const { formatDuration, toSecond } = require("./duration"),
+  { loudnessGain } = require("./loudness"),
+  { parseChapters } = require("./chapters"),
+  { parseSegments } = require("./segments"),
   Discord = require("discord.js"),
   ytdl = require("ytdl-core");
 
@@ -20,6 +23,21 @@ const deprecateProps = {
   plays: "views",
 };
 
+/**
+ * `@2.9.0` A chapter of a song.
+ * @typedef {Object} Chapter
+ * @prop {string} title Chapter title
+ * @prop {number} startTime Where the chapter starts in the source (in seconds)
+ */
+/**
+ * `@2.9.0` A time range of a song which can be skipped automatically, like SponsorBlock segments.
+ * See {@link DisTubeOptions}.segmentProvider
+ * @typedef {Object} Segment
+ * @prop {string} category Segment category, e.g. `"sponsor"`, `"intro"`, `"outro"`
+ * @prop {number} start Where the segment starts in the source (in seconds)
+ * @prop {number} end Where the segment ends in the source (in seconds)
+ */
+
 const parseNumber = string => (typeof string === "string" ? Number(string.replace(/\D+/g, "")) : Number(string)) || 0;
 
 /** Class representing a song. */
@@ -45,6 +63,11 @@ class Song {
      * @type {Discord.User}
      */
     this.user = user;
+    /**
+     * `@2.9.0` ID of the user requested, kept if {@link Song#user} cannot be resolved by {@link Song.fromJSON}
+     * @type {?Discord.Snowflake}
+     */
+    this.userID = user ? user.id : null;
     /**
      * `@2.1.4` Youtube video id
      * @type {string}
@@ -61,15 +84,22 @@ class Song {
      */
     this.isLive = info.isLive || info.is_live || false;
     /**
-     * Song duration.
+     * `@2.9.0` Duration of the whole source in seconds, setting {@link Song#duration} sets it.
      * @type {number}
      */
-    this.duration = toSecond(Number(info.lengthSeconds) || info._duration_raw || info.duration) || 0;
+    this.sourceDuration = toSecond(Number(info.lengthSeconds) || info._duration_raw || info.duration) || 0;
     /**
-     * Formatted duration string `hh:mm:ss` or `mm:ss`.
-     * @type {string}
+     * `@2.9.0` Where the song starts in the source (in seconds). See {@link Song#setClip}
+     * @type {number}
      */
-    this.formattedDuration = this.isLive ? "Live" : formatDuration(this.duration * 1000)
+    this.startTime = 0;
+    /**
+     * `@2.9.0` Where the song ends in the source (in seconds), `null` if it is played until the end.
+     * See {@link Song#setClip}
+     * @type {?number}
+     */
+    this.endTime = null;
+    if (info.startTime || info.endTime) this.setClip(info.startTime, info.endTime);
     /**
      * Song URL.
      * @type {string}
@@ -118,6 +148,31 @@ class Song {
      * @type {number}
      */
     this.reposts = parseNumber(info.repost_count);
+    /**
+     * `@2.9.0` ReplayGain-style gain (in dB) normalizing the song loudness, `null` if unknown.
+     * It is the gain to apply: negative for loud songs, positive for quiet ones.
+     * It comes from the ReplayGain track gain tag of local files and from the negated `loudnessDb` of YouTube videos.
+     * Used if {@link DisTubeOptions}.normalizeLoudness is `"replaygain"`
+     * @type {?number}
+     */
+    this.gain = this.info ? loudnessGain(this.info) : typeof info.gain === "number" ? info.gain : null;
+    /**
+     * `@2.9.0` Song chapters from the video info or the timestamps of its description, sorted by start time.
+     * YouTube chapters are available after the song info is fetched (when it starts playing).
+     * @type {Chapter[]}
+     */
+    this.chapters = parseChapters(info);
+    /**
+     * `@2.9.0` Song segments skipped if their category is in {@link DisTubeOptions}.skipSegments,
+     * `null` if they have not been fetched from {@link DisTubeOptions}.segmentProvider yet.
+     * @type {?Segment[]}
+     */
+    this.segments = info.segments ? parseSegments(info.segments) : null;
+    /**
+     * `@2.9.0` The plugin which resolved the song, used to create its stream.
+     * @type {?ExtractorPlugin}
+     */
+    this.plugin = null;
     /**
      * @deprecated use `Song.name` instead
      * @type {string}
@@ -130,6 +185,106 @@ class Song {
     this.link = "";
     for (let [oldProp, newProp] of Object.entries(deprecateProps)) deprecate(this, oldProp, this[newProp], newProp);
   }
+
+  /**
+   * Song duration in seconds, the duration of the clip if {@link Song#startTime} or {@link Song#endTime} is set.
+   * @type {number}
+   */
+  get duration() {
+    let end = this.endTime === null ? this.sourceDuration : Math.min(this.endTime, this.sourceDuration || Infinity);
+    return Math.max(end - this.startTime, 0);
+  }
+  set duration(duration) {
+    this.sourceDuration = duration;
+  }
+
+  /**
+   * Formatted duration string `hh:mm:ss` or `mm:ss`.
+   * @type {string}
+   */
+  get formattedDuration() {
+    return this.isLive ? "Live" : formatDuration(this.duration * 1000);
+  }
+
+  /**
+   * `@2.9.0` Play only a part of the song. {@link Song#duration} becomes the duration of the clip.
+   * @param {number|string} [startTime=0] Where the song starts in seconds, or a string like `"1:30"` or `"1m30s"`
+   * @param {?(number|string)} [endTime=null] Where the song ends, `null` to play it until the end
+   * @returns {Song} The song
+   * @throws {Error} if the song is a live stream
+   * @throws {RangeError} if `startTime` or `endTime` is invalid
+   * @example
+   * song.setClip("1:00", "2:30");
+   */
+  setClip(startTime = 0, endTime = null) {
+    if (this.isLive) throw new Error("Cannot clip a live stream.");
+    let start = toSecond(startTime || 0);
+    let end = endTime === null || endTime === undefined ? null : toSecond(endTime);
+    if (isNaN(start) || start < 0 || (this.sourceDuration && start >= this.sourceDuration)) throw new RangeError("Invalid start time.");
+    if (end !== null && (isNaN(end) || end <= start)) throw new RangeError("The end time must be after the start time.");
+    this.startTime = start;
+    this.endTime = end !== null && this.sourceDuration && end >= this.sourceDuration ? null : end;
+    return this;
+  }
+
+  /**
+   * `@2.9.0` Serialize the song. {@link Song#user} is replaced by its ID,
+   * video info, related videos and the stream url (which expires) are omitted and fetched again when the song is played.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      url: this.url,
+      duration: this.sourceDuration,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      isLive: this.isLive,
+      thumbnail: this.thumbnail,
+      views: this.views,
+      likes: this.likes,
+      dislikes: this.dislikes,
+      reposts: this.reposts,
+      gain: this.gain,
+      chapters: this.chapters,
+      segments: this.segments,
+      youtube: this.youtube,
+      user: this.user ? this.user.id : this.userID,
+      plugin: this.plugin ? this.plugin.name : null,
+    };
+  }
+
+  /**
+   * `@2.9.0` Create a song from {@link Song#toJSON} data.
+   * @param {Object} json Serialized song
+   * @param {DisTube} distube DisTube, used to resolve the user from the client cache and the plugin.
+   * Fetch the user before if it may not be cached, {@link Song#userID} keeps its ID otherwise
+   * @returns {Song}
+   */
+  static fromJSON(json, distube) {
+    let user = json.user && distube ? distube.client.users.cache.get(json.user) || null : null;
+    let song = new Song({
+      id: json.id,
+      title: json.name,
+      duration: json.duration,
+      startTime: json.startTime,
+      endTime: json.endTime,
+      isLive: json.isLive,
+      webpage_url: json.url,
+      thumbnail: json.thumbnail,
+      views: json.views,
+      likes: json.likes,
+      dislikes: json.dislikes,
+      repost_count: json.reposts,
+      gain: json.gain,
+      chapters: json.chapters,
+      segments: json.segments,
+    }, user, json.youtube);
+    song.userID = json.user || null;
+    if (json.plugin && distube) song.plugin = distube.plugins.find(p => p.name === json.plugin) || null;
+    return song;
+  }
 }
 
 module.exports = Song;
@@ -0,0 +1,34 @@
+/* eslint no-unused-vars: "off" */
+const Discord = require("discord.js");
+
+/**
+ * `@2.9.0` Class representing a voice backend, which joins the voice channels and plays the streams.
+ * DisTube uses {@link LegacyVoiceBackend} with discord.js v12 and {@link DiscordVoiceBackend} with discord.js v13.
+ * Extend it and set the instance to {@link DisTubeOptions}.voiceBackend to use another voice library.
+ *
+ * The connection resolved by {@link VoiceBackend#join|join()} implements the part of the discord.js v12 `VoiceConnection` used by DisTube:
+ * * `channel`: the voice channel, kept up to date when the bot is moved to another channel
+ * * `play(stream, { type, volume })`: play an opus (`type: "opus"`) or 16-bit signed stereo PCM (`type: "converted"`) stream,
+ * stop the playing one and return a dispatcher
+ * * `disconnect()`: leave the voice channel
+ * * `error` event
+ * * `disconnect` event when the connection is closed, by `disconnect()` or not
+ *
+ * The dispatcher implements the part of the discord.js v12 `StreamDispatcher` used by DisTube:
+ * `streamTime` (milliseconds played), `volume`, `setVolume(volume)`, `pause()`, `resume()`, `end()`, `destroy()`, `destroyed`,
+ * `finish` event when the stream ends or `end()` is called and `error` event.
+ * @abstract
+ */
+class VoiceBackend {
+  /**
+   * Join a voice channel
+   * @async
+   * @param {Discord.VoiceChannel} channel The voice channel
+   * @returns {Promise<Discord.VoiceConnection>} The voice connection
+   */
+  async join(channel) {
+    throw new Error(`${this.constructor.name} does not implement join()`);
+  }
+}
+
+module.exports = VoiceBackend;
@@ -0,0 +1,61 @@
+const MetadataCache = require("../MetadataCache");
+
+/**
+ * `@2.9.0` Built-in in-memory LRU cache, used when {@link DisTubeOptions}.metadataCache is `true`.
+ * @extends MetadataCache
+ * @example
+ * const distube = new DisTube(client, { metadataCache: new DisTube.MemoryCache({ maxSize: 1000, ttl: 600000 }) });
+ */
+class MemoryCache extends MetadataCache {
+  /**
+   * @param {Object} [options] Cache options
+   * @param {number} [options.maxSize=500] Maximum number of cached values, the least recently used ones are deleted first
+   * @param {number} [options.ttl=3600000] Default time (in milliseconds) a value is kept
+   */
+  constructor({ maxSize = 500, ttl = 3600000 } = {}) {
+    super();
+    if (!Number.isInteger(maxSize) || maxSize < 1) throw new RangeError("maxSize must be a positive integer.");
+    if (typeof ttl !== "number" || !(ttl > 0)) throw new RangeError("ttl must be a positive number.");
+    /**
+     * Maximum number of cached values
+     * @type {number}
+     */
+    this.maxSize = maxSize;
+    /**
+     * Default time (in milliseconds) a value is kept
+     * @type {number}
+     */
+    this.ttl = ttl;
+    // Map keeps the insertion order, the least recently used entry is the first one
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of cached values, including the expired ones not deleted yet
+   * @type {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expires <= Date.now()) return undefined;
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: Date.now() + ttl });
+    while (this.entries.size > this.maxSize) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = MemoryCache;
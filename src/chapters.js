@@ -0,0 +1,45 @@
+const { toSecond } = require("./duration");
+
+const timestampRegex = /(?:^|[\s([])((?:\d{1,2}:)?\d{1,2}:\d{2})(?=$|[\s)\]])/;
+
+const cleanTitle = title => title
+  .replace(/^[\s\-–—|:.)\]]+|[\s\-–—|:.([]+$/g, "")
+  .replace(/\s{2,}/g, " ");
+
+/**
+ * Parse the chapters listed in a video description, one timestamp per line.
+ * Like YouTube, the list must start at 0:00 and have ascending timestamps.
+ * @param {string} description Video description
+ * @returns {Chapter[]}
+ */
+const parseDescription = description => {
+  const chapters = [];
+  for (const line of description.split(/\r?\n/)) {
+    const match = line.match(timestampRegex);
+    if (!match) continue;
+    const startTime = toSecond(match[1]);
+    const title = cleanTitle(line.replace(match[1], " ").replace(/\(\s*\)|\[\s*\]/g, " "));
+    if (chapters.length && startTime <= chapters[chapters.length - 1].startTime) return [];
+    chapters.push({ title, startTime });
+  }
+  if (chapters.length < 2 || chapters[0].startTime !== 0) return [];
+  return chapters;
+};
+
+/**
+ * Get the chapters of a video from its info, or from the timestamps of its description.
+ * @param {Object} info ytdl video details or youtube-dl info
+ * @returns {Chapter[]}
+ */
+module.exports.parseChapters = info => {
+  if (!info) return [];
+  if (Array.isArray(info.chapters) && info.chapters.length) {
+    return info.chapters
+      .map(chapter => ({
+        title: chapter.title || "",
+        startTime: Number(chapter.startTime !== undefined ? chapter.startTime : chapter.start_time) || 0,
+      }))
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+  return typeof info.description === "string" ? parseDescription(info.description) : [];
+};
@@ -17,23 +17,24 @@ module.exports.formatDuration = milliseconds => {
   return `00:${formatInt(seconds)}`;
 };
 
-module.exports.toSecond = string => {
-  if (!string) return 0;
-  if (typeof string !== "string") return parseInt(string);
-  let h = 0,
-    m = 0,
-    s = 0;
-  if (string.match(/:/g)) {
-    let time = string.split(":");
-    if (time.length === 2) {
-      m = parseInt(time[0], 10);
-      s = parseInt(time[1], 10);
-    } else if (time.length === 3) {
-      h = parseInt(time[0], 10);
-      m = parseInt(time[1], 10);
-      s = parseInt(time[2], 10);
-    }
-  } else s = parseInt(string, 10);
+/**
+ * Parse a time expression: `"1:23"`, `"1:02:03"`, `"1h2m3s"`, `"1h 2m 3s"`, `"1m30s"` or `"90s"`
+ * @param {string} string The time expression
+ * @returns {number} Seconds, `NaN` if `string` is not a time expression
+ */
+const parseTime = string => {
+  string = string.trim();
+  let time = string.match(/^(?:(\d+):)?(\d+):(\d+)$/) || string.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m)?\s*(?:(\d+)\s*s)?$/i);
+  if (!time || !time[0]) return NaN;
+  let [h, m, s] = time.slice(1).map(t => parseInt(t || 0, 10));
   // eslint-disable-next-line no-mixed-operators
   return h * 60 * 60 + m * 60 + s;
 };
+module.exports.parseTime = parseTime;
+
+module.exports.toSecond = time => {
+  if (!time) return 0;
+  if (typeof time !== "string") return Math.floor(Number(time));
+  let seconds = parseTime(time);
+  return isNaN(seconds) ? parseInt(time, 10) : seconds;
+};
@@ -0,0 +1,81 @@
+const bandFrequencies = {
+  10: [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+  15: [25, 40, 63, 100, 160, 250, 400, 630, 1000, 1600, 2500, 4000, 6300, 10000, 16000],
+};
+
+const maxGain = 20;
+
+/**
+ * `@2.9.0` Equalizer presets, gains in dB of a 10-band equalizer.
+ * @typedef {("flat"|"rock"|"pop"|"vocal"|"classical"|"dance"|"jazz"|"electronic")} EqualizerPreset
+ */
+const presets = {
+  flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  rock: [5, 3, -3, -5, -2, 2, 5, 6, 6, 6],
+  pop: [-1, 2, 4, 5, 3, 0, -1, -1, -1, -1],
+  vocal: [-3, -3, -1, 1, 4, 4, 3, 1, 0, -2],
+  classical: [0, 0, 0, 0, 0, 0, -4, -4, -4, -6],
+  dance: [6, 4, 1, 0, 0, -3, -4, -4, 0, 0],
+  jazz: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3],
+  electronic: [4, 3, 1, 0, -2, 2, 1, 1, 4, 5],
+};
+
+const checkGain = (gain, name) => {
+  if (typeof gain !== "number" || isNaN(gain) || Math.abs(gain) > maxGain) {
+    throw new RangeError(`${name} must be a number between -${maxGain} and ${maxGain} dB.`);
+  }
+  return gain;
+};
+
+module.exports.presets = presets;
+
+/**
+ * Equalizer settings checked by `parseEqualizer()`
+ * @typedef {Object} NormalizedEqualizer
+ * @prop {?Array<number>} bands Band gains in dB, `null` if the bands are flat
+ * @prop {number} bass Bass gain in dB
+ * @prop {number} treble Treble gain in dB
+ */
+
+/**
+ * Normalize the equalizer settings
+ * @param {number[]|EqualizerPreset|Equalizer} equalizer Band gains | Preset name | Equalizer settings
+ * @returns {?NormalizedEqualizer} `null` if the equalizer is flat
+ */
+module.exports.parseEqualizer = equalizer => {
+  if (!equalizer) return null;
+  if (typeof equalizer === "string" || Array.isArray(equalizer)) equalizer = { bands: equalizer };
+  if (typeof equalizer !== "object") throw new TypeError("Invalid equalizer settings.");
+  let bands = equalizer.bands || equalizer.preset || null;
+  if (typeof bands === "string") {
+    if (!Object.prototype.hasOwnProperty.call(presets, bands)) throw new TypeError(`${bands} is not an equalizer preset.`);
+    bands = presets[bands];
+  }
+  if (bands) {
+    if (!Array.isArray(bands) || !bandFrequencies[bands.length]) throw new RangeError("The equalizer must have 10 or 15 bands.");
+    bands = bands.map((gain, i) => checkGain(gain, `Band ${i + 1}`));
+    if (bands.every(gain => gain === 0)) bands = null;
+  }
+  const bass = checkGain(equalizer.bass || 0, "Bass");
+  const treble = checkGain(equalizer.treble || 0, "Treble");
+  if (!bands && !bass && !treble) return null;
+  return { bands, bass, treble };
+};
+
+/**
+ * Create the ffmpeg filters of the equalizer settings
+ * @param {?NormalizedEqualizer} equalizer Normalized equalizer settings
+ * @returns {string[]}
+ */
+module.exports.equalizerFilters = equalizer => {
+  if (!equalizer) return [];
+  const filters = [];
+  if (equalizer.bands) {
+    const frequencies = bandFrequencies[equalizer.bands.length];
+    const entries = equalizer.bands.map((gain, i) => `entry(${frequencies[i]},${gain})`).join(";");
+    filters.push(`firequalizer=gain_entry='${entries}'`);
+  }
+  if (equalizer.bass) filters.push(`bass=g=${equalizer.bass}`);
+  if (equalizer.treble) filters.push(`treble=g=${equalizer.treble}`);
+  return filters;
+};
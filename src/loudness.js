@@ -0,0 +1,31 @@
+// EBU R128 target: integrated loudness, loudness range and true peak
+const loudnormFilter = "loudnorm=I=-16:LRA=11:TP=-1.5";
+
+const modes = ["loudnorm", "replaygain"];
+
+/**
+ * Get the ReplayGain-style gain of a YouTube video from its loudness.
+ * `loudnessDb` is how much louder than YouTube's reference the video is, e.g. `6` for a loud song,
+ * while a ReplayGain gain is the gain to apply, e.g. `-6`: the value is negated.
+ * @param {Object} info ytdl video info
+ * @returns {?number} Gain in dB to apply, `null` if unknown
+ */
+module.exports.loudnessGain = info => {
+  let playerConfig = info.player_response && info.player_response.playerConfig;
+  let loudness = playerConfig && playerConfig.audioConfig ? playerConfig.audioConfig.loudnessDb : null;
+  return typeof loudness === "number" ? -loudness : null;
+};
+
+/**
+ * Normalize the loudness normalization option
+ * @param {boolean|string} mode `true` is `"loudnorm"`
+ * @returns {?string} `null` if disabled
+ */
+module.exports.parseLoudnessMode = mode => {
+  if (!mode) return null;
+  if (mode === true) return "loudnorm";
+  if (!modes.includes(mode)) throw new TypeError(`${mode} is not a loudness normalization mode.`);
+  return mode;
+};
+
+module.exports.loudnormFilter = loudnormFilter;
@@ -0,0 +1,164 @@
+const decodeXML = string => string
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+  .replace(/&lt;/g, "<")
+  .replace(/&gt;/g, ">")
+  .replace(/&quot;/g, "\"")
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(code))
+  .replace(/&#x([\da-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, "&")
+  .trim();
+
+const encodeXML = string => String(string)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+const xmlTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "i"));
+  return match ? decodeXML(match[1]) : null;
+};
+
+const resolveLocation = (location, base) => {
+  try {
+    return new URL(location, base || undefined).href;
+  } catch {
+    return location;
+  }
+};
+
+const splitClip = location => {
+  const hash = location.indexOf("#");
+  if (hash === -1) return { location, startTime: null, endTime: null };
+  const params = location.slice(hash + 1).split("&");
+  const index = params.findIndex(param => param.startsWith("t="));
+  if (index === -1) return { location, startTime: null, endTime: null };
+  const [, start, end] = params.splice(index, 1)[0].match(/^t=(?:npt:)?([^,]*)(?:,(.*))?$/);
+  return {
+    location: location.slice(0, hash) + (params.length ? `#${params.join("&")}` : ""),
+    startTime: start || null,
+    endTime: end || null,
+  };
+};
+
+const clipLocation = song => {
+  const hasEnd = song.endTime !== null && song.endTime !== undefined;
+  if (!song.startTime && !hasEnd) return song.url;
+  return `${song.url}${song.url.includes("#") ? "&" : "#"}t=${song.startTime || 0}${hasEnd ? `,${song.endTime}` : ""}`;
+};
+
+const parseM3U = content => {
+  const playlist = { name: null, entries: [] };
+  let extinf = null;
+  for (let line of content.split(/\r?\n/)) {
+    line = line.trim();
+    if (!line) continue;
+    if (line.startsWith("#EXTINF:")) {
+      const [, duration, title] = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,?(.*)$/) || [];
+      extinf = { duration: Number(duration) > 0 ? Math.round(Number(duration)) : 0, title: (title || "").trim() || null };
+    } else if (line.startsWith("#PLAYLIST:")) {
+      playlist.name = line.slice(10).trim() || null;
+    } else if (!line.startsWith("#")) {
+      playlist.entries.push({ location: line, title: null, duration: 0, ...extinf });
+      extinf = null;
+    }
+  }
+  return playlist;
+};
+
+const parsePLS = content => {
+  const tracks = {};
+  for (let line of content.split(/\r?\n/)) {
+    const match = line.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+    if (!match) continue;
+    const track = tracks[match[2]] = tracks[match[2]] || { location: null, title: null, duration: 0 };
+    const value = match[3].trim();
+    if (/^file$/i.test(match[1])) track.location = value;
+    else if (/^title$/i.test(match[1])) track.title = value || null;
+    else track.duration = Number(value) > 0 ? Math.round(Number(value)) : 0;
+  }
+  const entries = Object.keys(tracks)
+    .sort((a, b) => a - b)
+    .map(i => tracks[i])
+    .filter(track => track.location);
+  return { name: null, entries };
+};
+
+const parseXSPF = content => {
+  const index = content.search(/<trackList/i);
+  const header = content.slice(0, index);
+  const entries = (content.slice(index).match(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/gi) || []).map(track => {
+    const title = xmlTag(track, "title");
+    const creator = xmlTag(track, "creator");
+    return {
+      location: xmlTag(track, "location"),
+      title: title ? [creator, title].filter(Boolean).join(" - ") : null,
+      duration: Math.round(Number(xmlTag(track, "duration")) / 1000) || 0,
+    };
+  }).filter(track => track.location);
+  return { name: xmlTag(header, "title"), entries };
+};
+
+/**
+ * Parse a M3U / M3U8, PLS or XSPF playlist.
+ * Relative locations are resolved against `base`.
+ * A `#t=start,end` media fragment is removed from the location and returned as the entry clip.
+ * @param {string|Buffer} content Playlist file content
+ * @param {string} [base] Url of the playlist file
+ * @returns {{name: ?string, entries: Array<{location: string, title: ?string, duration: number, startTime: ?string, endTime: ?string}>}}
+ */
+module.exports.parsePlaylist = (content, base) => {
+  content = content.toString().replace(/^\uFEFF/, "");
+  let playlist;
+  if (/^\s*\[playlist\]/i.test(content)) playlist = parsePLS(content);
+  else if (/<playlist[\s>]/i.test(content) && /<trackList/i.test(content)) playlist = parseXSPF(content);
+  else playlist = parseM3U(content);
+  for (const entry of playlist.entries) Object.assign(entry, splitClip(resolveLocation(entry.location, base)));
+  return playlist;
+};
+
+/**
+ * Create a M3U8 playlist from songs.
+ * The clip of a song is written as a `#t=start,end` media fragment of its url.
+ * @param {Song[]} songs Songs
+ * @param {string} [name] Playlist name
+ * @returns {string}
+ */
+module.exports.toM3U = (songs, name) => {
+  const lines = ["#EXTM3U"];
+  if (name) lines.push(`#PLAYLIST:${name.replace(/\r?\n/g, " ")}`);
+  for (const song of songs) {
+    lines.push(`#EXTINF:${song.isLive ? -1 : song.duration},${String(song.name).replace(/\r?\n/g, " ")}`, clipLocation(song));
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Create a XSPF playlist from songs.
+ * The clip of a song is written as a `#t=start,end` media fragment of its location.
+ * @param {Song[]} songs Songs
+ * @param {string} [name] Playlist name
+ * @returns {string}
+ */
+module.exports.toXSPF = (songs, name) => {
+  const tracks = songs.map(song => [
+    "    <track>",
+    `      <location>${encodeXML(clipLocation(song))}</location>`,
+    `      <title>${encodeXML(song.name)}</title>`,
+    song.duration && !song.isLive ? `      <duration>${song.duration * 1000}</duration>` : null,
+    song.thumbnail && !song.thumbnail.startsWith("data:") ? `      <image>${encodeXML(song.thumbnail)}</image>` : null,
+    "    </track>",
+  ].filter(line => line !== null).join("\n"));
+  return [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<playlist version=\"1\" xmlns=\"http://xspf.org/ns/0/\">",
+    name ? `  <title>${encodeXML(name)}</title>` : null,
+    "  <trackList>",
+    ...tracks,
+    "  </trackList>",
+    "</playlist>",
+    "",
+  ].filter(line => line !== null).join("\n");
+};
@@ -0,0 +1,121 @@
+const fs = require("fs"),
+  path = require("path"),
+  { fileURLToPath, pathToFileURL } = require("url"),
+  prism = require("prism-media"),
+  mm = require("music-metadata"),
+  ExtractorPlugin = require("../ExtractorPlugin"),
+  Song = require("../Song"),
+  Playlist = require("../Playlist");
+
+const audioExtensions = [".mp3", ".flac", ".ogg", ".oga", ".opus", ".wav", ".m4a", ".mp4", ".aac", ".wma", ".webm"];
+
+/**
+ * `@2.9.0` Built-in plugin playing `file://` urls inside {@link DisTubeOptions}.localMediaRoot.
+ * A directory is resolved to a {@link Playlist} of its audio files.
+ * @extends ExtractorPlugin
+ */
+class LocalFilePlugin extends ExtractorPlugin {
+  /**
+   * @param {string} root The directory files can be played from
+   */
+  constructor(root) {
+    super("local");
+    this.root = path.resolve(root);
+  }
+
+  validate(url) {
+    return typeof url === "string" && url.startsWith("file:");
+  }
+
+  async validatePlaylist(url) {
+    if (!this.validate(url)) return false;
+    try {
+      return (await fs.promises.stat(await this._resolvePath(url))).isDirectory();
+    } catch { return false }
+  }
+
+  async resolve(url, user) {
+    let file = await this._resolvePath(url);
+    if ((await fs.promises.stat(file)).isDirectory()) return (await this.resolvePlaylist(url, user)).songs;
+    return this._createSong(file, user);
+  }
+
+  async resolvePlaylist(url, user) {
+    let dir = await this._resolvePath(url);
+    let files = (await fs.promises.readdir(dir, { withFileTypes: true }))
+      .filter(f => f.isFile() && audioExtensions.includes(path.extname(f.name).toLowerCase()))
+      .map(f => f.name)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    let songs = [];
+    for (let file of files) {
+      let song = await this._createSong(path.join(dir, file), user).catch(() => null);
+      if (song) songs.push(song);
+    }
+    return new Playlist(songs, user, { name: path.basename(dir), url: pathToFileURL(dir).href });
+  }
+
+  async getStreamURL(song) {
+    return pathToFileURL(await this._resolvePath(song.url)).href;
+  }
+
+  async createStream(song, streamOptions) {
+    let file = await this._resolvePath(song.url);
+    // FFmpeg opens the file itself to be able to seek in it, e.g. to the moov atom at the end of mp4 files.
+    // ytdl.arbitraryStream() cannot be used: its http reconnect options make ffmpeg fail on files.
+    let args = ["-analyzeduration", "0", "-loglevel", "0"];
+    if (streamOptions.seek) args.push("-ss", `${streamOptions.seek}`);
+    args.push("-i", file, "-f", "s16le", "-ar", "48000", "-ac", "2");
+    if (Array.isArray(streamOptions.encoderArgs)) args.push(...streamOptions.encoderArgs);
+    let transcoder = new prism.FFmpeg({ shell: false, args });
+    if (!streamOptions.opusEncoded) return transcoder;
+    let opus = transcoder.pipe(new prism.opus.Encoder({ rate: 48000, channels: 2, frameSize: 960 }));
+    const destroy = () => {
+      if (!transcoder.destroyed) transcoder.destroy();
+      if (!opus.destroyed) opus.destroy();
+    };
+    opus.on("close", destroy).on("error", destroy);
+    return opus;
+  }
+
+  /**
+   * Resolve the real path of a `file://` url, rejecting paths outside the media root
+   * @private
+   * @ignore
+   * @param {string} url The file url
+   * @returns {Promise<string>}
+   */
+  async _resolvePath(url) {
+    let file = await fs.promises.realpath(fileURLToPath(url));
+    let root = await fs.promises.realpath(this.root);
+    let relative = path.relative(root, file);
+    if (relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw new Error("File is outside of the allowed media root.");
+    }
+    return file;
+  }
+
+  /**
+   * Create a Song from the file's embedded tags
+   * @private
+   * @ignore
+   * @param {string} file The file path
+   * @param {Discord.User} user Requested user
+   * @returns {Promise<Song>}
+   */
+  async _createSong(file, user) {
+    let { common, format } = await mm.parseFile(file, { duration: true, skipCovers: true });
+    let url = pathToFileURL(file).href;
+    return new Song({
+      id: path.relative(await fs.promises.realpath(this.root), file),
+      title: common.title ? [common.artist, common.title].filter(Boolean).join(" - ") : path.basename(file, path.extname(file)),
+      duration: Math.round(format.duration) || 0,
+      webpage_url: url,
+      url,
+      // Embedded cover arts cannot be shown in Discord embeds
+      thumbnail: null,
+      gain: common.replaygain_track_gain ? common.replaygain_track_gain.dB : null,
+    }, user);
+  }
+}
+
+module.exports = LocalFilePlugin;
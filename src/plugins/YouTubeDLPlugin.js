@@ -0,0 +1,31 @@
+const youtube_dl = require("@distube/youtube-dl"),
+  { promisify } = require("util"),
+  ExtractorPlugin = require("../ExtractorPlugin"),
+  Song = require("../Song"),
+  { isURL } = require("../util");
+const youtube_dlOptions = ["--no-warnings", "--force-ipv4"];
+const getInfo = promisify(youtube_dl.getInfo);
+
+/**
+ * `@2.9.0` Built-in plugin resolving any other http(s) url with youtube-dl.
+ * Always checked last since it accepts every url.
+ * @extends ExtractorPlugin
+ */
+class YouTubeDLPlugin extends ExtractorPlugin {
+  constructor() {
+    super("youtube-dl");
+  }
+
+  validate(url) {
+    return isURL(url);
+  }
+
+  async resolve(url, user) {
+    let info = await this.distube._cached(`youtube-dl:${url}`, () => getInfo(url, youtube_dlOptions))
+      .catch(e => { throw new Error(`[youtube-dl] ${e.stderr || e}`) });
+    if (Array.isArray(info) && info.length > 0) return info.map(i => new Song(i, user));
+    return new Song(info, user);
+  }
+}
+
+module.exports = YouTubeDLPlugin;
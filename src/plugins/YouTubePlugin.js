@@ -0,0 +1,57 @@
+const ytdl = require("@distube/ytdl"),
+  ytpl = require("@distube/ytpl"),
+  ExtractorPlugin = require("../ExtractorPlugin"),
+  Song = require("../Song"),
+  Playlist = require("../Playlist"),
+  { toSecond } = require("../duration");
+
+// `t` / `start` and `end` parameters of the query or the hash, e.g. `&t=90`, `#t=1m30s`
+const getTimestamps = url => {
+  try {
+    const { searchParams, hash } = new URL(url);
+    const hashParams = new URLSearchParams(hash.slice(1));
+    const param = name => searchParams.get(name) || hashParams.get(name);
+    return { start: toSecond(param("t") || param("start")) || 0, end: toSecond(param("end")) || null };
+  } catch {
+    return { start: 0, end: null };
+  }
+};
+
+/**
+ * `@2.9.0` Built-in plugin resolving YouTube videos and playlists.
+ * @extends ExtractorPlugin
+ */
+class YouTubePlugin extends ExtractorPlugin {
+  constructor() {
+    super("youtube");
+  }
+
+  validate(url) {
+    return ytdl.validateURL(url);
+  }
+
+  validatePlaylist(url) {
+    return ytpl.validateID(url);
+  }
+
+  async resolve(url, user) {
+    let song = new Song(await this.distube._getYouTubeInfo(url), user, true);
+    let { start, end } = getTimestamps(url);
+    // Invalid timestamps are ignored like YouTube does
+    if (start || end) try { song.setClip(start, end) } catch { }
+    return song;
+  }
+
+  async resolvePlaylist(url, user) {
+    let playlist = await ytpl(url, { limit: Infinity });
+    playlist.items = playlist.items.filter(v => !v.thumbnail.includes("no_thumbnail")).map(v => new Song(v, user, true));
+    return new Playlist(playlist, user);
+  }
+
+  createStream(song, streamOptions) {
+    if (song.info) return ytdl(song.info, streamOptions);
+    return ytdl(song.url, streamOptions);
+  }
+}
+
+module.exports = YouTubePlugin;
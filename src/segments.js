@@ -0,0 +1,15 @@
+/**
+ * Normalize segments, accepting SponsorBlock segments (`{ category, segment: [start, end] }`)
+ * @param {Array<Segment|Object>} segments Segments
+ * @returns {Segment[]} Valid segments sorted by start time
+ */
+module.exports.parseSegments = segments => {
+  if (!Array.isArray(segments)) throw new TypeError("Segments must be an array.");
+  return segments
+    .map(segment => {
+      const [start, end] = Array.isArray(segment.segment) ? segment.segment : [segment.start, segment.end];
+      return { category: String(segment.category || "sponsor"), start: Number(start), end: Number(end) };
+    })
+    .filter(segment => segment.start >= 0 && segment.end > segment.start)
+    .sort((a, b) => a.start - b.start);
+};
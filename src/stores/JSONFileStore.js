@@ -0,0 +1,76 @@
+const fs = require("fs"),
+  path = require("path"),
+  QueueStore = require("../QueueStore");
+
+/**
+ * `@2.9.0` Built-in queue store saving all the queues to a JSON file.
+ * @extends QueueStore
+ * @example
+ * const distube = new DisTube(client, { queueStore: new DisTube.JSONFileStore("./queues.json") });
+ * client.on("ready", () => distube.restoreQueues());
+ */
+class JSONFileStore extends QueueStore {
+  /**
+   * @param {string} file Path to the JSON file
+   */
+  constructor(file) {
+    super();
+    /**
+     * Path to the JSON file
+     * @type {string}
+     */
+    this.file = path.resolve(file);
+    this.queues = null;
+    this.reading = null;
+    this.writing = Promise.resolve();
+    this.pending = null;
+  }
+
+  async load() {
+    // Concurrent calls share the same read, so they do not overwrite the changes of each other
+    if (!this.reading) {
+      this.reading = fs.promises.readFile(this.file, "utf8").then(JSON.parse, e => {
+        if (e.code !== "ENOENT") throw e;
+        return {};
+      });
+      this.reading.catch(() => { this.reading = null });
+    }
+    if (!this.queues) this.queues = await this.reading;
+    return Object.assign({}, this.queues);
+  }
+
+  async save(guildID, queue) {
+    await this.load();
+    this.queues[guildID] = queue;
+    return this._write();
+  }
+
+  async delete(guildID) {
+    await this.load();
+    if (!(guildID in this.queues)) return;
+    delete this.queues[guildID];
+    await this._write();
+  }
+
+  /**
+   * Write the queues to the file, one write at a time.
+   * The changes made in the same tick, or while the file is being written, are written together.
+   * @private
+   * @ignore
+   * @returns {Promise<void>}
+   */
+  _write() {
+    if (this.pending) return this.pending;
+    const write = async () => {
+      this.pending = null;
+      const tmp = `${this.file}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(this.queues));
+      await fs.promises.rename(tmp, this.file);
+    };
+    this.pending = this.writing.then(() => new Promise(resolve => setImmediate(resolve))).then(write);
+    this.writing = this.pending.catch(() => { });
+    return this.pending;
+  }
+}
+
+module.exports = JSONFileStore;
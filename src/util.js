@@ -0,0 +1,15 @@
+/**
+ * Check if a string is an http(s) url
+ * @param {string} string The string to check
+ * @returns {boolean}
+ */
+module.exports.isURL = string => {
+  if (string.includes(" ")) return false;
+  try {
+    const url = new URL(string);
+    if (!["https:", "http:"].includes(url.protocol) ||
+      url.origin === "null" || !url.host
+    ) return false;
+  } catch { return false }
+  return true;
+};
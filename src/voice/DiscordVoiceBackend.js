@@ -0,0 +1,199 @@
+const { EventEmitter } = require("events"),
+  VoiceBackend = require("../VoiceBackend");
+
+// @discordjs/voice is only required with discord.js v13
+const loadVoice = () => {
+  try {
+    return require("@discordjs/voice");
+  } catch {
+    throw new Error("DiscordVoiceBackend requires @discordjs/voice, install it with `npm install @discordjs/voice`.");
+  }
+};
+
+/**
+ * A StreamDispatcher-like wrapper of an `AudioResource` played by an `AudioPlayer`.
+ * @private
+ * @ignore
+ * @extends EventEmitter
+ */
+class AudioDispatcher extends EventEmitter {
+  constructor(voice, player, stream, { type = "opus", volume = 1 } = {}) {
+    super();
+    this.player = player;
+    this.destroyed = false;
+    this.resource = voice.createAudioResource(stream, {
+      inputType: type === "converted" ? voice.StreamType.Raw : voice.StreamType.Opus,
+      inlineVolume: true,
+    });
+    this.resource.volume.setVolume(volume);
+    this.onStateChange = (oldState, newState) => {
+      if (oldState.resource !== this.resource || newState.status !== voice.AudioPlayerStatus.Idle) return;
+      this._detach();
+      this.emit("finish");
+    };
+    this.onError = error => {
+      if (error.resource !== this.resource) return;
+      this._detach();
+      this.emit("error", error);
+    };
+    player.on("stateChange", this.onStateChange).on("error", this.onError);
+    player.play(this.resource);
+  }
+
+  get streamTime() {
+    return this.resource.playbackDuration;
+  }
+
+  get volume() {
+    return this.resource.volume.volume;
+  }
+
+  setVolume(volume) {
+    this.resource.volume.setVolume(volume);
+  }
+
+  pause() {
+    this.player.pause(true);
+  }
+
+  resume() {
+    this.player.unpause();
+  }
+
+  end() {
+    this.player.stop(true);
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    let playing = this.player.state.resource === this.resource;
+    this._detach();
+    if (playing) this.player.stop(true);
+    this.resource.playStream.destroy();
+  }
+
+  _detach() {
+    this.destroyed = true;
+    this.player.removeListener("stateChange", this.onStateChange).removeListener("error", this.onError);
+  }
+}
+
+/**
+ * A VoiceConnection-like wrapper of a `VoiceConnection` of @discordjs/voice.
+ * @private
+ * @ignore
+ * @extends EventEmitter
+ */
+class VoiceConnection extends EventEmitter {
+  constructor(voice, connection, channel) {
+    super();
+    this.voice = voice;
+    this.connection = connection;
+    this.joinedChannel = channel;
+    this.player = voice.createAudioPlayer();
+    this.dispatcher = null;
+    connection.subscribe(this.player);
+    this.onError = e => this.emit("error", e);
+    this.onDisconnected = async () => {
+      // Wait for a reconnection, e.g. when the bot is moved to another channel
+      try {
+        await Promise.race([
+          voice.entersState(connection, voice.VoiceConnectionStatus.Signalling, 5000),
+          voice.entersState(connection, voice.VoiceConnectionStatus.Connecting, 5000),
+        ]);
+      } catch {
+        this.disconnect();
+      }
+    };
+    connection.on("error", this.onError).on(voice.VoiceConnectionStatus.Disconnected, this.onDisconnected);
+  }
+
+  /**
+   * The voice channel, updated when the bot is moved to another channel
+   * @type {Discord.VoiceChannel}
+   */
+  get channel() {
+    let id = this.connection.joinConfig ? this.connection.joinConfig.channelId : null;
+    if (id && id !== this.joinedChannel.id) {
+      let channel = this.joinedChannel.guild.channels.cache.get(id);
+      if (channel) this.joinedChannel = channel;
+    }
+    return this.joinedChannel;
+  }
+
+  play(stream, options) {
+    if (this.dispatcher) this.dispatcher.destroy();
+    this.dispatcher = new AudioDispatcher(this.voice, this.player, stream, options);
+    return this.dispatcher;
+  }
+
+  disconnect() {
+    if (this.dispatcher) this.dispatcher.destroy();
+    this.player.stop(true);
+    this.connection
+      .removeListener("error", this.onError)
+      .removeListener(this.voice.VoiceConnectionStatus.Disconnected, this.onDisconnected);
+    if (this.connection.state.status !== this.voice.VoiceConnectionStatus.Destroyed) this.connection.destroy();
+    this.emit("disconnect");
+  }
+}
+
+/**
+ * `@2.9.0` Built-in voice backend using `@discordjs/voice`, the default one with discord.js v13.
+ * `@discordjs/voice` has to be installed.
+ * @extends VoiceBackend
+ * @example
+ * const distube = new DisTube(client, { voiceBackend: new DisTube.DiscordVoiceBackend() });
+ */
+class DiscordVoiceBackend extends VoiceBackend {
+  /**
+   * @param {Object} [options] Backend options
+   * @param {number} [options.timeout=30000] How long (in milliseconds) to wait for the connection to be ready
+   */
+  constructor({ timeout = 30000 } = {}) {
+    super();
+    /**
+     * How long (in milliseconds) to wait for the connection to be ready
+     * @type {number}
+     */
+    this.timeout = timeout;
+    /**
+     * The connection of each guild, @discordjs/voice reuses the voice connection of a guild when joining again
+     * @type {Map<Discord.Snowflake, VoiceConnection>}
+     * @private
+     * @ignore
+     */
+    this.connections = new Map();
+  }
+
+  async join(channel) {
+    const voice = loadVoice();
+    const guildID = channel.guild.id;
+    const connection = voice.joinVoiceChannel({
+      channelId: channel.id,
+      guildId: guildID,
+      adapterCreator: channel.guild.voiceAdapterCreator,
+    });
+    let cached = this.connections.get(guildID);
+    if (cached && cached.connection !== connection) cached = null;
+    try {
+      await voice.entersState(connection, voice.VoiceConnectionStatus.Ready, this.timeout);
+    } catch (e) {
+      if (cached) cached.disconnect();
+      else connection.destroy();
+      throw e;
+    }
+    if (cached) {
+      cached.joinedChannel = channel;
+      return cached;
+    }
+    const wrapper = new VoiceConnection(voice, connection, channel);
+    this.connections.set(guildID, wrapper);
+    wrapper.on("disconnect", () => {
+      if (this.connections.get(guildID) === wrapper) this.connections.delete(guildID);
+    });
+    return wrapper;
+  }
+}
+
+module.exports = DiscordVoiceBackend;
@@ -0,0 +1,14 @@
+const VoiceBackend = require("../VoiceBackend");
+
+/**
+ * `@2.9.0` Built-in voice backend using the voice connections of discord.js v12.
+ * @extends VoiceBackend
+ */
+class LegacyVoiceBackend extends VoiceBackend {
+  async join(channel) {
+    if (typeof channel.join !== "function") throw new Error("LegacyVoiceBackend requires discord.js v12, use DiscordVoiceBackend instead.");
+    return channel.join();
+  }
+}
+
+module.exports = LegacyVoiceBackend;
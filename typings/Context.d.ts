@@ -0,0 +1,132 @@
+export = Context;
+/**
+ * `@2.9.0` Options to create a {@link Context} without a message or an interaction,
+ * e.g. from a web dashboard or a scheduled job.
+ * @typedef {Object} ContextOptions
+ * @prop {Discord.VoiceChannel} [voiceChannel] The voice channel to join, the one of `member` if not set
+ * @prop {Discord.GuildMember} [member] The member using DisTube
+ * @prop {Discord.User} [user] The user using DisTube, the one of `member` if not set
+ * @prop {Discord.TextChannel} [textChannel] The text channel used to answer, e.g. to choose a search result
+ * @prop {Discord.Guild} [guild] The guild, the one of the channels or `member` if not set
+ */
+/**
+ * `@2.9.0` What DisTube methods accept to know the guild, the voice channel and the user:
+ * a `Discord.Message`, a discord.js v13 `CommandInteraction`, a {@link Context} or {@link ContextOptions}.
+ * @typedef {Discord.Message|Context|ContextOptions|Object} ContextResolvable
+ */
+/**
+ * `@2.9.0` The guild, channels and user a queue or an event is about.
+ * Created by DisTube from a message, an interaction or {@link ContextOptions}.
+ * The events get the original message of the commands from a message, and the context of the others (e.g. interactions).
+ * It has the `guild`, `channel`, `member` and `author` properties of a message, so `message.channel.send()` works in both cases,
+ * but not the other message properties and methods like `content` or `reply()`.
+ */
+declare class Context {
+    /**
+     * Create a context from a message, an interaction, a context or context options
+     * @param {ContextResolvable} source The source
+     * @returns {Context}
+     * @throws {TypeError} if `source` is invalid or has no guild
+     */
+    static from(source: ContextResolvable): Context;
+    /**
+     * @param {Object} data Context data
+     * @param {Discord.Guild} data.guild The guild
+     * @param {?Discord.VoiceChannel} [data.voiceChannel] The voice channel
+     * @param {?Discord.TextChannel} [data.textChannel] The text channel
+     * @param {?Discord.GuildMember} [data.member] The member
+     * @param {?Discord.User} [data.user] The user
+     * @param {?Discord.Message} [data.message] The message
+     * @param {?Object} [data.interaction] The interaction
+     */
+    constructor({ guild, voiceChannel, textChannel, member, user, message, interaction }: {
+        guild: Discord.Guild;
+        voiceChannel?: Discord.VoiceChannel | null;
+        textChannel?: Discord.TextChannel | null;
+        member?: Discord.GuildMember | null;
+        user?: Discord.User | null;
+        message?: Discord.Message | null;
+        interaction?: any | null;
+    });
+    /**
+     * The guild
+     * @type {Discord.Guild}
+     */
+    guild: Discord.Guild;
+    _voiceChannel: Discord.VoiceChannel;
+    /**
+     * The text channel, `null` if unknown
+     * @type {?Discord.TextChannel}
+     */
+    channel: Discord.TextChannel | null;
+    /**
+     * The member, `null` if unknown
+     * @type {?Discord.GuildMember}
+     */
+    member: Discord.GuildMember | null;
+    /**
+     * The user, `null` if unknown
+     * @type {?Discord.User}
+     */
+    author: Discord.User | null;
+    /**
+     * The message the context is created from
+     * @type {?Discord.Message}
+     */
+    message: Discord.Message | null;
+    /**
+     * The interaction the context is created from
+     * @type {?Object}
+     */
+    interaction: any | null;
+    /**
+     * The voice channel to join, the current one of {@link Context#member} if not set
+     * @type {?Discord.VoiceChannel}
+     */
+    get voiceChannel(): Discord.VoiceChannel;
+    /**
+     * Alias of {@link Context#channel}
+     * @type {?Discord.TextChannel}
+     */
+    get textChannel(): Discord.TextChannel;
+    /**
+     * Alias of {@link Context#author}
+     * @type {?Discord.User}
+     */
+    get user(): Discord.User;
+}
+declare namespace Context {
+    export { ContextOptions, ContextResolvable };
+}
+import Discord = require("discord.js");
+/**
+ * `@2.9.0` What DisTube methods accept to know the guild, the voice channel and the user:
+ * a `Discord.Message`, a discord.js v13 `CommandInteraction`, a {@link Context } or {@link ContextOptions }.
+ */
+type ContextResolvable = Discord.Message | Context | ContextOptions | any;
+/**
+ * `@2.9.0` Options to create a {@link Context } without a message or an interaction,
+ * e.g. from a web dashboard or a scheduled job.
+ */
+type ContextOptions = {
+    /**
+     * The voice channel to join, the one of `member` if not set
+     */
+    voiceChannel?: Discord.VoiceChannel;
+    /**
+     * The member using DisTube
+     */
+    member?: Discord.GuildMember;
+    /**
+     * The user using DisTube, the one of `member` if not set
+     */
+    user?: Discord.User;
+    /**
+     * The text channel used to answer, e.g. to choose a search result
+     */
+    textChannel?: Discord.TextChannel;
+    /**
+     * The guild, the one of the channels or `member` if not set
+     */
+    guild?: Discord.Guild;
+};
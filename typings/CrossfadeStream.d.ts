@@ -0,0 +1,53 @@
+export = CrossfadeStream;
+/**
+ * `@2.9.0` A 16-bit signed stereo PCM stream playing its sources one after another.
+ * The end of a source can be mixed with the beginning of the next one with {@link CrossfadeStream#crossfade|crossfade()}.
+ * @private
+ * @ignore
+ * @extends Readable
+ */
+declare class CrossfadeStream extends Readable {
+    /**
+     * @param {Readable} source The first PCM source
+     */
+    constructor(source: Readable);
+    /**
+     * Playing sources, the next one is mixed in while crossfading
+     * @type {Array<{stream: Readable, buffer: Buffer, ended: boolean}>}
+     */
+    sources: {
+        stream: Readable;
+        buffer: Buffer;
+        ended: boolean;
+    }[];
+    fadeFrames: number;
+    fadedFrames: number;
+    reading: boolean;
+    ended: boolean;
+    /**
+     * Whether or not the stream is mixing two sources
+     * @type {boolean}
+     */
+    get crossfading(): boolean;
+    /**
+     * Fade out the playing source while fading in `source`
+     * @param {Readable} source The next PCM source
+     * @param {number} duration Crossfade duration in milliseconds
+     * @returns {boolean} `false` if the playing source has already ended
+     */
+    crossfade(source: Readable, duration: number): boolean;
+    _addSource(stream: any): void;
+    _removeSource(source: any): void;
+    _output(chunk: any): void;
+    /**
+     * Pause the sources which should not be read
+     * @private
+     */
+    private _updateFlow;
+    /**
+     * Push the buffered audio, mixing the sources while crossfading
+     * @private
+     */
+    private _flush;
+}
+import { Readable } from "stream";
@@ -51,10 +51,59 @@ declare class DisTube extends EventEmitter {
             "x-youtube-identity-token": string;
         };
     };
+    /**
+     * `@2.9.0` Cache of the video info and search results, `null` if disabled. See {@link MetadataCache#stats}
+     * @type {?MetadataCache}
+     */
+    cache: MetadataCache | null;
+    /**
+     * `@2.9.0` Voice backend joining the voice channels and playing the songs
+     * @type {VoiceBackend}
+     */
+    voice: VoiceBackend;
+    /**
+     * `@2.9.0` Registered extractor plugins, the built-in ones are always last.
+     * @type {ExtractorPlugin[]}
+     */
+    plugins: ExtractorPlugin[];
+    queueStoreTimer: NodeJS.Timeout;
+    /**
+     * `@2.9.0` Stop saving the queues to {@link DisTubeOptions}.queueStore periodically, before shutting down the bot.
+     * The changed queues are saved one last time, so they can be restored with {@link DisTube#restoreQueues}.
+     * @async
+     * @returns {Promise<void>}
+     * @example
+     * process.on("SIGINT", async () => {
+     *     await distube.destroy();
+     *     client.destroy();
+     *     process.exit();
+     * });
+     */
+    destroy(): Promise<void>;
+    /**
+     * `@2.9.0` Register an extractor plugin.
+     * Custom plugins are checked in registration order, before the built-in ones.
+     * @param {ExtractorPlugin} plugin The plugin to register
+     * @returns {DisTube}
+     * @throws {TypeError} If `plugin` is not an {@link ExtractorPlugin} or its name is already registered
+     * @example
+     * distube.registerPlugin(new IcecastPlugin());
+     */
+    registerPlugin(plugin: ExtractorPlugin): DisTube;
+    /**
+     * Find the plugin which supports the url
+     * @async
+     * @private
+     * @ignore
+     * @param {string} url The url to check
+     * @param {boolean} [playlist=false] Find a plugin supporting the url as a playlist
+     * @returns {Promise<?ExtractorPlugin>}
+     */
+    private _getPlugin;
     /**
      * Resolve a Song
      * @async
-     * @param {Discord.Message} message The message from guild channel
+     * @param {Context} message The context of the command
      * @param {string|Song} song Youtube url | Search string | {@link Song}
      * @private
      * @ignore
@@ -64,7 +113,7 @@ declare class DisTube extends EventEmitter {
     /**
      * Handle a Song or an array of Song
      * @async
-     * @param {Discord.Message} message The message from guild channel
+     * @param {Context} message The context of the command
      * @param {Song|SearchResult} song {@link Song} | {@link SearchResult}
      * @private
      * @ignore
@@ -73,8 +122,12 @@ declare class DisTube extends EventEmitter {
     /**
      * Play / add a song or playlist from url. Search and play a song if it is not a valid url.
      * @async
-     * @param {Discord.Message} message The message from guild channel
+     * @param {ContextResolvable} message The message, interaction or context of the command
      * @param {string|Song|SearchResult} song Youtube url | Search string | {@link Song} | {@link SearchResult}
+     * | `file://` url inside {@link DisTubeOptions}.localMediaRoot
+     * @param {Object} [clip] `@2.9.0` Play only a part of the song, see {@link Song#setClip}. Ignored for playlists
+     * @param {number|string} [clip.startTime] Where the song starts, in seconds or a string like `"1:30"`
+     * @param {number|string} [clip.endTime] Where the song ends
      * @example
      * client.on('message', (message) => {
      *     if (!message.content.startsWith(config.prefix)) return;
@@ -82,14 +135,22 @@ declare class DisTube extends EventEmitter {
      *     const command = args.shift();
      *     if (command == "play")
      *         distube.play(message, args.join(" "));
+     *     if (command == "playclip") // playclip 1:00 2:30 never gonna give you up
+     *         distube.play(message, args.slice(2).join(" "), { startTime: args[0], endTime: args[1] });
      * });
      */
-    play(message: Discord.Message, song: string | Song | SearchResult): Promise<void>;
+    play(message: any, song: string | Song | SearchResult, clip?: {
+        startTime?: number | string;
+        endTime?: number | string;
+    }): Promise<void>;
     /**
      * `@2.0.0` Skip the playing song and play a song or playlist
      * @async
-     * @param {Discord.Message} message The message from guild channel
+     * @param {ContextResolvable} message The message, interaction or context of the command
      * @param {string|Song|SearchResult} song Youtube url | Search string | {@link Song} | {@link SearchResult}
+     * @param {Object} [clip] `@2.9.0` Play only a part of the song, see {@link DisTube#play|play()}
+     * @param {number|string} [clip.startTime] Where the song starts
+     * @param {number|string} [clip.endTime] Where the song ends
      * @example
      * client.on('message', (message) => {
      *     if (!message.content.startsWith(config.prefix)) return;
@@ -99,14 +160,26 @@ declare class DisTube extends EventEmitter {
      *         distube.playSkip(message, args.join(" "));
      * });
      */
-    playSkip(message: Discord.Message, song: string | Song | SearchResult): Promise<void>;
+    playSkip(message: any, song: string | Song | SearchResult, clip?: {
+        startTime?: number | string;
+        endTime?: number | string;
+    }): Promise<void>;
+    /**
+     * Set the clip of a resolved song, keeping the timestamp of its url if `startTime` is not set
+     * @private
+     * @ignore
+     * @param {Song|Song[]} song The resolved song
+     * @param {Object} [clip] `startTime` and `endTime` of the clip
+     * @returns {Song|Song[]} The song
+     */
+    private _clipSong;
     /**
      * `@2.1.0` Play or add array of Youtube video urls.
      * {@link DisTube#event:playList} or {@link DisTube#event:addList} will be emitted
      * with `playlist`'s properties include `properties` parameter's properties such as
      * `user`, `songs`, `duration`, `formattedDuration`, `thumbnail` like {@link Playlist}
      * @async
-     * @param {Discord.Message} message The message from guild channel
+     * @param {ContextResolvable} message The message, interaction or context of the command
      * @param {string[]} urls Array of Youtube url
      * @param {Object} [properties={}] Additional properties such as `name`
      * @param {boolean} [playSkip=false] Whether or not play this playlist instantly
@@ -114,14 +187,54 @@ declare class DisTube extends EventEmitter {
      *     let songs = ["https://www.youtube.com/watch?v=xxx", "https://www.youtube.com/watch?v=yyy"];
      *     distube.playCustomPlaylist(message, songs, { name: "My playlist name" });
      */
-    playCustomPlaylist(message: Discord.Message, urls: string[], properties?: any, playSkip?: boolean): Promise<void>;
+    playCustomPlaylist(message: any, urls: string[], properties?: any, playSkip?: boolean): Promise<void>;
+    /**
+     * `@2.9.0` Play or add a M3U / M3U8, PLS or XSPF playlist file.
+     * Each entry is resolved like {@link DisTube#play|play()}, relative entries are resolved against the file location.
+     * `#EXTINF` (M3U), `Title` / `Length` (PLS) and `title` / `duration` (XSPF) are used
+     * when the entry source does not provide a name or a duration.
+     * A `#t=start,end` media fragment in an entry location plays only that part of the song, see {@link Song#setClip}.
+     * {@link DisTube#event:playList} or {@link DisTube#event:addList} will be emitted with a {@link Playlist}
+     * which has a `failed` property listing the entries which cannot be resolved: `{ entry: string, error: Error }[]`
+     * @async
+     * @param {ContextResolvable} message The message, interaction or context of the command
+     * @param {string|Buffer} file Path to the playlist file | The playlist file content
+     * @param {Object} [properties={}] Additional properties such as `name`
+     * @param {boolean} [playSkip=false] Whether or not play this playlist instantly
+     * @example
+     *     distube.playPlaylistFile(message, "./playlists/chill.m3u8");
+     *     distube.on("addList", (message, queue, playlist) => {
+     *         if (playlist.failed && playlist.failed.length) message.channel.send(`Skipped ${playlist.failed.length} unavailable songs`);
+     *     });
+     */
+    playPlaylistFile(message: any, file: string | Buffer, properties?: any, playSkip?: boolean): Promise<void>;
+    /**
+     * Resolve playlist entries, keeping the failed ones
+     * @async
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {string[]} urls Entry urls
+     * @returns {Promise<Array<{entry: string, song: ?(Song|Song[]), error: ?Error}>>}
+     */
+    private _resolveEntries;
+    /**
+     * Create a Playlist from resolved entries
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Array<{entry: string, song: ?(Song|Song[]), error: ?Error}>} results Resolved entries
+     * @param {Object} properties Additional properties
+     * @returns {Playlist}
+     */
+    private _createEntriesPlaylist;
     /**
      * PLay / add a playlist
      * @async
      * @private
      * @ignore
-     * @param {Discord.Message} message The message from guild channel
-     * @param {string|Song[]|Playlist} arg2 Youtube playlist url | a Playlist
+     * @param {Context} message The context of the command
+     * @param {string|Song[]|Playlist} arg2 Playlist url | a Playlist
      * @param {boolean} skip Skip the current song
      */
     private _handlePlaylist;
@@ -140,32 +253,89 @@ declare class DisTube extends EventEmitter {
      * @async
      * @private
      * @ignore
-     * @param {Discord.Message} message The message from guild channel
+     * @param {Context} message The context of the command
      * @param {string} name The string search for
      * @returns {Song} Song info
      */
     private _searchSong;
+    /**
+     * Whether or not a user can choose a search result, see {@link DisTubeOptions}.searchAnyListener
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Discord.User} user The user
+     * @returns {boolean}
+     */
+    private _canChooseSearchResult;
+    /**
+     * Default {@link SearchResultChooser}: wait for the number of a result typed in the text channel
+     * @async
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {SearchResult[]} results The search results
+     * @param {SearchChooserOptions} options Chooser options
+     * @returns {Promise<?SearchResult>}
+     */
+    private _chooseTypedNumber;
     /**
      * Create a new guild queue
      * @async
      * @private
      * @ignore
-     * @param {Discord.Message} message The message from guild channel
+     * @param {Context} message The context of the command
      * @param {Song} song Song to play
      * @throws {NotInVoice} if user not in a voice channel
      * @returns {Promise<Queue>}
      */
     private _newQueue;
+    /**
+     * Handle the voice connection errors and disconnection of a queue.
+     * The listeners are added once per connection and handle the queue currently playing on it.
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     */
+    private _handleConnectionError;
+    /**
+     * Stop a queue whose voice connection is disconnected, e.g. the bot is kicked from the voice channel
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     */
+    private _handleDisconnect;
+    /**
+     * `@2.9.0` Restore the queues saved in {@link DisTubeOptions}.queueStore.
+     * DisTube rejoins the saved voice channels and resumes the songs at the saved position.
+     * The message which initialized the queue is fetched again,
+     * a {@link Context} of the saved channels is used instead if it has been deleted.
+     * Should be called after the client is ready.
+     * @async
+     * @returns {Promise<Queue[]>} The restored queues
+     * @throws {Error} If {@link DisTubeOptions}.queueStore is not set
+     * @example
+     * client.on("ready", () => distube.restoreQueues());
+     * distube.on("restoreQueue", (message, queue) => message.channel.send(`Resumed \`${queue.songs[0].name}\` at \`${queue.formattedCurrentTime}\``));
+     */
+    restoreQueues(): Promise<Queue[]>;
+    /**
+     * Save a queue to {@link DisTubeOptions}.queueStore if it has changed since it was last saved
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @returns {Promise<void>}
+     */
+    private _saveQueue;
     /**
      * Delete a guild queue
      * @private
      * @ignore
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
      */
     private _deleteQueue;
     /**
      * Get the guild queue
-     * @param {Discord.Snowflake|Discord.Message} message The guild ID or message from guild channel.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @returns {Queue} The guild queue
      * @example
      * client.on('message', (message) => {
@@ -180,12 +350,20 @@ declare class DisTube extends EventEmitter {
      *     }
      * });
      */
-    getQueue(message: Discord.Snowflake | Discord.Message): Queue;
+    getQueue(message: Discord.Snowflake | any): Queue;
+    /**
+     * Get the context of a guild ID or a {@link ContextResolvable}
+     * @private
+     * @ignore
+     * @param {Discord.Snowflake|ContextResolvable} message A guild ID or the message, interaction or context of the command
+     * @returns {?Context} The context of the guild queue if `message` is a guild ID
+     */
+    private _getContext;
     /**
      * Add a video to queue
      * @private
      * @ignore
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
      * @param {Song} song Song to add
      * @param {boolean} [unshift=false] Unshift
      * @throws {NotInVoice} if result is empty
@@ -196,7 +374,7 @@ declare class DisTube extends EventEmitter {
      * Add a array of videos to queue
      * @private
      * @ignore
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
      * @param {Song[]} songs Array of song to add
      * @param {boolean} [unshift=false] Unshift
      * @returns {Queue}
@@ -204,21 +382,21 @@ declare class DisTube extends EventEmitter {
     private _addSongsToQueue;
     /**
      * Pause the guild stream
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @returns {Queue} The guild queue
      * @throws {NotPlaying} No playing queue
      */
-    pause(message: Discord.Snowflake | Discord.Message): Queue;
+    pause(message: Discord.Snowflake | any): Queue;
     /**
      * Resume the guild stream
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @returns {Queue} The guild queue
      * @throws {NotPlaying} No playing queue
      */
-    resume(message: Discord.Snowflake | Discord.Message): Queue;
+    resume(message: Discord.Snowflake | any): Queue;
     /**
      * Stop the guild stream
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @throws {NotPlaying} No playing queue
      * @example
      * client.on('message', (message) => {
@@ -231,13 +409,47 @@ declare class DisTube extends EventEmitter {
      *     }
      * });
      */
-    stop(message: Discord.Snowflake | Discord.Message): void;
+    stop(message: Discord.Snowflake | any): void;
+    /**
+     * End the playing song, fading it out if {@link DisTubeOptions}.fadeOut is set
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @returns {Promise<void>} Resolved after the dispatcher is ended
+     */
+    private _endSong;
+    /**
+     * Fade the volume of a dispatcher, cancelling the running fade of the queue
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {Discord.StreamDispatcher} dispatcher The dispatcher to fade
+     * @param {number} to Target volume, relative to {@link Queue#volume} (0 to 1)
+     * @param {number} duration Fade duration in milliseconds
+     * @returns {Promise<boolean>} `false` if the fade has been cancelled
+     */
+    private _fade;
     /**
-     * Set the guild stream's volume
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * Call `update` with the progress (0 to 1) every 50ms during `duration`,
+     * cancelling the previous animation stored in `queue[key]`
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {string} key The queue property storing the animation
+     * @param {number} duration Duration in milliseconds
+     * @param {function(number): ?boolean} update Called with the progress, returns `false` to cancel the animation
+     * @returns {Promise<boolean>} `false` if the animation has been cancelled
+     */
+    private _animate;
+    /**
+     * Set the guild stream's volume.
+     * The volume is clamped between {@link Queue#minVolume} and {@link Queue#maxVolume}.
+     * The volume set while the queue is paused is applied when it is resumed.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @param {number} percent The percentage of volume you want to set
      * @returns {Queue} The guild queue
      * @throws {NotPlaying} No playing queue
+     * @throws {TypeError} if `percent` is not a number
      * @example
      * client.on('message', (message) => {
      *     if (!message.content.startsWith(config.prefix)) return;
@@ -247,11 +459,70 @@ declare class DisTube extends EventEmitter {
      *         distube.setVolume(message, args[0]);
      * });
      */
-    setVolume(message: Discord.Snowflake | Discord.Message, percent: number): Queue;
+    setVolume(message: Discord.Snowflake | any, percent: number): Queue;
+    /**
+     * `@2.9.0` Change the guild stream's volume gradually.
+     * The volume is clamped between {@link Queue#minVolume} and {@link Queue#maxVolume}.
+     * {@link DisTube#event:volumeChange} is emitted when the target volume is reached.
+     * The ramp is cancelled by {@link DisTube#setVolume|setVolume()} or another ramp.
+     * @async
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number} target The percentage of volume to reach
+     * @param {number} duration How long the volume changes (in milliseconds)
+     * @returns {Promise<Queue>} The guild queue, resolved when the ramp ends or is cancelled
+     * @throws {NotPlaying} No playing queue
+     * @throws {TypeError} if `target` is not a number
+     * @throws {RangeError} if `duration` is invalid
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "volume")
+     *         distube.rampVolume(message, Number(args[0]), 2000);
+     * });
+     */
+    rampVolume(message: Discord.Snowflake | any, target: number, duration: number): Promise<Queue>;
+    /**
+     * `@2.9.0` Set the volume bounds of the guild queue, the volume is clamped into the new bounds.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number} min Minimum volume
+     * @param {number} max Maximum volume
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {RangeError} if the bounds are invalid (0 <= min <= max)
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "volumebounds")
+     *         distube.setVolumeBounds(message, Number(args[0]), Number(args[1]));
+     * });
+     */
+    setVolumeBounds(message: Discord.Snowflake | any, min: number, max: number): Queue;
+    /**
+     * Clamp a volume between the bounds of the queue
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {number|string} volume The volume
+     * @returns {number}
+     * @throws {TypeError} if `volume` is not a number
+     */
+    private _clampVolume;
+    /**
+     * Set the volume of the queue and its dispatcher
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {number} volume The volume
+     */
+    private _applyVolume;
     /**
      * Skip the playing song
      *
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @returns {Queue} The guild queue
      * @throws {NotPlaying} No playing queue
      * @throws {NoSong} if there is no song in queue
@@ -264,10 +535,27 @@ declare class DisTube extends EventEmitter {
      *         distube.skip(message);
      * });
      */
-    skip(message: Discord.Snowflake | Discord.Message): Queue;
+    skip(message: Discord.Snowflake | any): Queue;
+    /**
+     * `@2.9.0` Play the previous song, the playing song will be played next.
+     * Played songs are kept in {@link Queue#previousSongs}.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {NoPreviousSong} if there is no previous song
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "previous")
+     *         distube.previous(message);
+     * });
+     */
+    previous(message: Discord.Snowflake | any): Queue;
     /**
      * Shuffle the guild queue songs
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @returns {Queue} The guild queue
      * @example
      * client.on('message', (message) => {
@@ -278,11 +566,11 @@ declare class DisTube extends EventEmitter {
      *         distube.shuffle(message);
      * });
      */
-    shuffle(message: Discord.Snowflake | Discord.Message): Queue;
+    shuffle(message: Discord.Snowflake | any): Queue;
     /**
      * Jump to the song number in the queue.
      * The next one is 1,...
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @param {number} num The song number to play
      * @returns {Queue} The guild queue
      * @throws {InvalidSong} if `num` is invalid number (0 < num < {@link Queue#songs}.length)
@@ -296,13 +584,106 @@ declare class DisTube extends EventEmitter {
      *             .catch(err => message.channel.send("Invalid song number."));
      * });
      */
-    jump(message: Discord.Snowflake | Discord.Message, num: number): Queue;
+    jump(message: Discord.Snowflake | any, num: number): Queue;
+    /**
+     * Validate a position of the upcoming songs in the queue
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {number} position Position of the song (The next one is 1,...)
+     * @param {number} [max=queue.songs.length - 1] Maximum position
+     * @throws {InvalidSong} if `position` is invalid
+     */
+    private _validatePosition;
+    /**
+     * `@2.9.0` Remove songs from the queue.
+     * The playing song cannot be removed, use {@link DisTube#skip|skip()} instead.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number|function(Song, number): boolean} song The song number (The next one is 1,...)
+     * or a function returning `true` for the songs to remove
+     * @returns {Song[]} The removed songs
+     * @throws {NotPlaying} No playing queue
+     * @throws {InvalidSong} if `song` is an invalid number (0 < song < {@link Queue#songs}.length)
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "remove")
+     *         distube.remove(message, parseInt(args[0]));
+     *     if (command == "removemine")
+     *         distube.remove(message, song => song.user.id === message.author.id);
+     * });
+     */
+    remove(message: Discord.Snowflake | any, song: number | ((arg0: Song, arg1: number) => boolean)): Song[];
+    /**
+     * `@2.9.0` Move a song to another position in the queue.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number} from The song number to move (The next one is 1,...)
+     * @param {number} to The new song number
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {InvalidSong} if `from` or `to` is an invalid number (0 < num < {@link Queue#songs}.length)
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "move")
+     *         distube.move(message, parseInt(args[0]), parseInt(args[1]));
+     * });
+     */
+    move(message: Discord.Snowflake | any, from: number, to: number): Queue;
+    /**
+     * `@2.9.0` Swap two songs of the queue.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number} first The first song number (The next one is 1,...)
+     * @param {number} second The second song number
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {InvalidSong} if `first` or `second` is an invalid number (0 < num < {@link Queue#songs}.length)
+     */
+    swap(message: Discord.Snowflake | any, first: number, second: number): Queue;
+    /**
+     * `@2.9.0` Insert a song or playlist at a position of the queue.
+     * @async
+     * @param {ContextResolvable} message The message, interaction or context of the command
+     * @param {string|Song|SearchResult|Playlist} song Youtube url | Search string | {@link Song} | {@link SearchResult} | {@link Playlist}
+     * @param {number} position The song number of the inserted song (The next one is 1,...)
+     * @returns {Promise<Queue>} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {InvalidSong} if `position` is an invalid number (0 < position <= {@link Queue#songs}.length)
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "insert")
+     *         distube.insert(message, args.slice(1).join(" "), parseInt(args[0]))
+     *             .catch(err => message.channel.send("Cannot insert the song."));
+     * });
+     */
+    insert(message: any, song: string | Song | SearchResult | Playlist, position: number): Promise<Queue>;
+    /**
+     * `@2.9.0` Remove all the songs of the queue except the playing one.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @returns {Song[]} The removed songs
+     * @throws {NotPlaying} No playing queue
+     */
+    clear(message: Discord.Snowflake | any): Song[];
+    /**
+     * `@2.9.0` Remove the songs which have the same url as a previous song of the queue.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @returns {Song[]} The removed songs
+     * @throws {NotPlaying} No playing queue
+     */
+    removeDuplicates(message: Discord.Snowflake | any): Song[];
     /**
      * Set the repeat mode of the guild queue.
      * Turn off if repeat mode is the same value as new mode.
      * Toggle mode: `mode = null` `(0 -> 1 -> 2 -> 0...)`
      *
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @param {number} mode The repeat modes `(0: disabled, 1: Repeat a song, 2: Repeat all the queue)`
      * @returns {number} The new repeat mode
      *
@@ -318,10 +699,40 @@ declare class DisTube extends EventEmitter {
      *     }
      * });
      */
-    setRepeatMode(message: Discord.Snowflake | Discord.Message, mode?: number): number;
+    setRepeatMode(message: Discord.Snowflake | any, mode?: number): number;
+    /**
+     * `@2.9.0` Repeat a section of the playing song until it is skipped or the loop is cleared.
+     * The song is replayed from `start` if the current position is out of the section.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number|string} start Where the section starts, in milliseconds or a string parsed like the time of {@link DisTube#seek|seek()}
+     * @param {number|string} end Where the section ends
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {Error} if the playing song is a live stream
+     * @throws {TypeError} if `start` or `end` is not a valid time
+     * @throws {RangeError} if the section is invalid (0 <= start < end <= {@link Song#duration})
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "abloop") // abloop 1:10 1:35
+     *         distube.setABLoop(message, args[0], args[1]);
+     *     if (command == "abloopoff")
+     *         distube.clearABLoop(message);
+     * });
+     */
+    setABLoop(message: Discord.Snowflake | any, start: number | string, end: number | string): Queue;
+    /**
+     * `@2.9.0` Stop repeating the section of the playing song set with {@link DisTube#setABLoop|setABLoop()}.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     */
+    clearABLoop(message: Discord.Snowflake | any): Queue;
     /**
      * Toggle autoplay mode
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @returns {boolean} Autoplay mode state
      * @throws {NotPlaying} No playing queue
      * @example
@@ -335,19 +746,19 @@ declare class DisTube extends EventEmitter {
      *     }
      * });
      */
-    toggleAutoplay(message: Discord.Snowflake | Discord.Message): boolean;
+    toggleAutoplay(message: Discord.Snowflake | any): boolean;
     /**
      * Whether or not a guild is playing music.
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel to check
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @returns {boolean} Whether or not the guild is playing song(s)
      */
-    isPlaying(message: Discord.Snowflake | Discord.Message): boolean;
+    isPlaying(message: Discord.Snowflake | any): boolean;
     /**
      * Whether or not the guild queue is paused
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel to check
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @returns {boolean} Whether or not the guild queue is paused
      */
-    isPaused(message: Discord.Snowflake | Discord.Message): boolean;
+    isPaused(message: Discord.Snowflake | any): boolean;
     /**
      * Whether or not the queue's voice channel is empty
      * @private
@@ -359,22 +770,23 @@ declare class DisTube extends EventEmitter {
     /**
      * TODO: Remove this
      * @deprecated use {@link DisTube#addRelatedVideo} instead
-     * @param {DisTube.Message} message Message
+     * @param {ContextResolvable} message The message, interaction or context of the command
      * @returns {Promise<Queue>}
      */
     runAutoplay(message: any): Promise<Queue>;
     /**
      * Add related song to the queue
      * @async
-     * @param {Discord.Snowflake|Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
      * @returns {Promise<Queue>} The guild queue
      */
-    addRelatedVideo(message: Discord.Snowflake | Discord.Message): Promise<Queue>;
+    addRelatedVideo(message: Discord.Snowflake | any): Promise<Queue>;
     /**
      * `@2.0.0` Enable or disable a filter of the queue, replay the playing song.
+     * The other enabled filters are disabled, use {@link DisTube#addFilter|addFilter()} to combine filters.
      * Available filters: {@link Filter}
      *
-     * @param {Discord.Message} message The message from guild channel
+     * @param {ContextResolvable} message The message, interaction or context of the command
      * @param {Filter} filter A filter name
      * @returns {string} Current queue's filter name.
      * @example
@@ -388,108 +800,538 @@ declare class DisTube extends EventEmitter {
      *     }
      * });
      */
-    setFilter(message: Discord.Message, filter: Filter): string;
+    setFilter(message: any, filter: Filter): string;
     /**
-     * `@2.7.0` Set the playing time to another position
-     *
-     * @param {Discord.Message} message The message from guild channel
-     * @param {number} time Time in milliseconds
+     * `@2.9.0` Enable a filter after the enabled ones, replay the playing song.
+     * Available filters: {@link Filter}
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {Filter} filter A filter name
+     * @returns {Filter[]} Enabled filters
+     * @throws {NotPlaying} No playing queue
+     * @throws {TypeError} if `filter` is not a {@link Filter}
      * @example
-     * client.on('message', message => {
+     * client.on('message', (message) => {
      *     if (!message.content.startsWith(config.prefix)) return;
      *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
      *     const command = args.shift();
-     *     if (command = 'seek')
-     *         distube.seek(message, Number(args[0]));
+     *     if (command == "addfilter") {
+     *         let filters = distube.addFilter(message, args[0]);
+     *         message.channel.send("Current queue filters: " + filters.join(", "));
+     *     }
      * });
      */
-    seek(message: Discord.Message, time: number): void;
+    addFilter(message: Discord.Snowflake | any, filter: Filter): Filter[];
     /**
-     * Emit error event
-     * @private
-     * @ignore
+     * `@2.9.0` Disable a filter, replay the playing song.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {Filter} filter A filter name
+     * @returns {Filter[]} Enabled filters
+     * @throws {NotPlaying} No playing queue
      */
-    private _emitError;
+    removeFilter(message: Discord.Snowflake | any, filter: Filter): Filter[];
     /**
-     * Whether or not emit playSong event
-     * @private
-     * @ignore
+     * `@2.9.0` Replace the enabled filters, replay the playing song.
+     * Filters are applied in the given order, duplicates are ignored.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {Filter[]} filters Filter names
+     * @returns {Filter[]} Enabled filters
+     * @throws {NotPlaying} No playing queue
+     * @throws {TypeError} if a filter is not a {@link Filter}
+     * @example
+     * distube.setFilters(message, ["nightcore", "bassboost"]);
      */
-    private _emitPlaySong;
+    setFilters(message: Discord.Snowflake | any, filters: Filter[]): Filter[];
+    /**
+     * `@2.9.0` Disable all the filters, replay the playing song.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @returns {Filter[]} Enabled filters (empty)
+     * @throws {NotPlaying} No playing queue
+     */
+    clearFilters(message: Discord.Snowflake | any): Filter[];
     /**
-     * Create a ytdl stream
+     * Check if a filter name is defined
      * @private
      * @ignore
+     * @param {Filter} filter A filter name
+     * @throws {TypeError} if `filter` is not a {@link Filter}
      */
-    private _createStream;
+    private _validateFilter;
     /**
-     * Play a song on voice connection
+     * Replay the playing song at the current position with the enabled filters
      * @private
      * @ignore
-     * @param {Discord.Message} message The message from guild channel
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+     * @param {Queue} queue The guild queue
      */
-    private _playSong;
+    private _applyFilters;
     /**
-     * Handle the queue when a Song finish
+     * Replay the playing song at the current position to apply the new audio settings
      * @private
      * @ignore
-     * @param {Discord.Message} message message
-     * @param {Queue} queue queue
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+     * @param {Queue} queue The guild queue
      */
-    private _handleSongFinish;
+    private _replaySong;
     /**
-     * Handle error while playing
+     * Set a playback factor of the queue, replay the playing song
      * @private
      * @ignore
-     * @param {Discord.Message} message message
-     * @param {Queue} queue queue
-     * @param {Error} error error
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+     * @param {string} prop `speed`, `pitch` or `tempo`
+     * @param {number} value The factor (0.5 to 2)
+     * @returns {Queue} The guild queue
      */
-    private _handlePlayingError;
+    private _setPlaybackFactor;
     /**
-     *  Emitted after DisTube add playlist to guild queue
-     *
-     * @event DisTube#addList
-     * @param {Discord.Message} message The message from guild channel
-     * @param {Queue} queue The guild queue
-     * @param {Playlist} playlist Playlist info
-     * @since 1.1.0
+     * `@2.9.0` Set the playback speed, which changes both the tempo and the pitch, replay the playing song.
+     * {@link Queue#currentTime} and {@link Queue#duration} are scaled with the speed.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number} speed The speed factor (0.5 to 2), `1` is the normal speed
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {RangeError} if `speed` is invalid
      * @example
-     * const status = (queue) => `Volume: \`${queue.volume}%\` | Loop: \`${queue.repeatMode ? queue.repeatMode == 2 ? "Server Queue" : "This Song" : "Off"}\` | Autoplay: \`${queue.autoplay ? "On" : "Off"}\``;
-     * 
-     * distube.on("addList", (message, queue, playlist) => message.channel.send(
-     *     `Added \`${playlist.name}\` playlist (${playlist.songs.length} songs) to queue\n${status(queue)}`
-     * ));
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "speed")
+     *         distube.setSpeed(message, Number(args[0]));
+     * });
      */
-    on(event: "addList", listener: (message: Discord.Message, queue: Queue, playlist: Playlist) => void): this;
+    setSpeed(message: Discord.Snowflake | any, speed: number): Queue;
     /**
-     *  Emitted after DisTube add new song to guild queue
-     *
-     * @event DisTube#addSong
-     * @param {Discord.Message} message The message from guild channel
-     * @param {Queue} queue The guild queue
-     * @param {Song} song Added song
-     * @example
-     * const status = (queue) => `Volume: \`${queue.volume}%\` | Loop: \`${queue.repeatMode ? queue.repeatMode == 2 ? "Server Queue" : "This Song" : "Off"}\` | Autoplay: \`${queue.autoplay ? "On" : "Off"}\``;
-     * 
-     * distube.on("addSong", (message, queue, song) => message.channel.send(
-     *     `Added ${song.name} - \`${song.formattedDuration}\` to the queue by ${song.user}`
-     * ));
+     * `@2.9.0` Set the pitch without changing the tempo, replay the playing song.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number} pitch The pitch factor (0.5 to 2), `1` is the original pitch
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {RangeError} if `pitch` is invalid
      */
-    on(event: "addSong", listener: (message: Discord.Message, queue: Queue, song: Song) => void): this;
-    on(event: "empty" | "finish" | "noRelated" | "searchCancel", listener: (message: Discord.Message) => void): this;
+    setPitch(message: Discord.Snowflake | any, pitch: number): Queue;
     /**
-     * Emitted when `DisTube` encounters an error.
-     *
+     * `@2.9.0` Set the tempo without changing the pitch, replay the playing song.
+     * {@link Queue#currentTime} and {@link Queue#duration} are scaled with the tempo.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number} tempo The tempo factor (0.5 to 2), `1` is the original tempo
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {RangeError} if `tempo` is invalid
+     * @example
+     * // 1.25x speed with the original pitch
+     * distube.setTempo(message, 1.25);
+     */
+    setTempo(message: Discord.Snowflake | any, tempo: number): Queue;
+    /**
+     * `@2.9.0` Set the equalizer of the queue, replay the playing song.
+     * It is applied after the enabled filters.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {?(number[]|EqualizerPreset|Equalizer)} equalizer Band gains in dB | Preset name | Equalizer settings.
+     * `null` to disable the equalizer
+     * @returns {?Equalizer} The equalizer settings, `null` if disabled
+     * @throws {NotPlaying} No playing queue
+     * @throws {TypeError} if `equalizer` is an unknown preset
+     * @throws {RangeError} if the number of bands or a gain is invalid
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "eq")
+     *         distube.setEqualizer(message, args[0] === "off" ? null : args[0]); // "rock", "vocal",...
+     *     if (command == "eqbands")
+     *         distube.setEqualizer(message, args.map(Number)); // 10 or 15 gains
+     *     if (command == "bass")
+     *         distube.setEqualizer(message, { ...distube.getQueue(message).equalizer, bass: Number(args[0]) });
+     * });
+     */
+    setEqualizer(message: Discord.Snowflake | any, equalizer: (number[] | any | Equalizer) | null): Equalizer | null;
+    /**
+     * `@2.7.0` Set the playing time to another position
+     * `@2.9.0` The position is clamped to the song duration.
+     *
+     * @param {ContextResolvable} message The message, interaction or context of the command
+     * @param {number|string} time Time in milliseconds, or a string:
+     * * A time in milliseconds like numbers: `"90000"`
+     * * A time expression: `"1:23"`, `"1:02:03"`, `"1h2m3s"`, `"90s"`
+     * * A time relative to the current position: `"+30s"`, `"-10000"`, `"+1:00"`
+     * * A percentage of the song duration: `"50%"`
+     * @throws {NotPlaying} No playing queue
+     * @throws {Error} if the playing song is a live stream
+     * @throws {TypeError} if `time` is invalid
+     * @example
+     * client.on('message', message => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command = 'seek')
+     *         distube.seek(message, args[0]);
+     * });
+     */
+    seek(message: any, time: number | string): void;
+    /**
+     * Parse the time of {@link DisTube#seek|seek()} and the bounds of {@link DisTube#setABLoop|setABLoop()}
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {number|string} time Time in milliseconds | Time string
+     * @returns {number} Position in milliseconds
+     * @throws {TypeError} if `time` is invalid
+     */
+    private _parseSeekTime;
+    /**
+     * `@2.9.0` Play the next chapter of the playing song.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {NoChapter} if the playing song has no chapters
+     * @throws {InvalidChapter} if the playing chapter is the last one
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "nextchapter")
+     *         distube.nextChapter(message);
+     * });
+     */
+    nextChapter(message: Discord.Snowflake | any): Queue;
+    /**
+     * `@2.9.0` Play the previous chapter of the playing song.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {NoChapter} if the playing song has no chapters
+     * @throws {InvalidChapter} if the playing chapter is the first one
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "previouschapter")
+     *         distube.previousChapter(message);
+     * });
+     */
+    previousChapter(message: Discord.Snowflake | any): Queue;
+    /**
+     * `@2.9.0` Play a chapter of the playing song.
+     * @param {Discord.Snowflake|ContextResolvable} message The guild ID or the message, interaction or context of the command
+     * @param {number} num The chapter number (The first one is 1,...)
+     * @returns {Queue} The guild queue
+     * @throws {NotPlaying} No playing queue
+     * @throws {NoChapter} if the playing song has no chapters
+     * @throws {InvalidChapter} if `num` is invalid or the chapter is outside of the song clip
+     * @example
+     * client.on('message', (message) => {
+     *     if (!message.content.startsWith(config.prefix)) return;
+     *     const args = message.content.slice(config.prefix.length).trim().split(/ +/g);
+     *     const command = args.shift();
+     *     if (command == "chapter")
+     *         distube.jumpToChapter(message, parseInt(args[0]))
+     *             .catch(err => message.channel.send("Invalid chapter number."));
+     * });
+     */
+    jumpToChapter(message: Discord.Snowflake | any, num: number): Queue;
+    /**
+     * Get the queue playing a song with chapters
+     * @private
+     * @ignore
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+     * @returns {Queue} The guild queue
+     */
+    private _getChapterQueue;
+    /**
+     * Seek to the start of a chapter of the playing song
+     * @private
+     * @ignore
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+     * @param {Queue} queue The guild queue
+     * @param {number} index Index of the chapter in {@link Song#chapters}
+     * @returns {Queue} The guild queue
+     */
+    private _seekChapter;
+    /**
+     * Emit {@link DisTube#event:chapterChange} when the playing chapter changes
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Queue} queue The guild queue
+     * @param {Discord.StreamDispatcher} dispatcher The playing dispatcher
+     */
+    private _watchChapters;
+    /**
+     * Get a value from {@link DisTube#cache}, or load and cache it.
+     * The value is cloned, so the cached one is never changed by its users (e.g. {@link Song} sorts the thumbnails of the info).
+     * @async
+     * @private
+     * @ignore
+     * @param {string} key The key
+     * @param {function(): Promise<*>} loader Load the value if it is not cached
+     * @returns {Promise<*>}
+     */
+    private _cached;
+    /**
+     * Get the info of a YouTube video through {@link DisTube#cache}
+     * @async
+     * @private
+     * @ignore
+     * @param {string} url The video url or ID
+     * @param {boolean} [basic=false] Whether or not getting the basic info only
+     * @returns {Promise<ytdl.videoInfo>}
+     */
+    private _getYouTubeInfo;
+    /**
+     * Emit error event
+     * @private
+     * @ignore
+     */
+    private _emitError;
+    /**
+     * Emit a queue event with the message which initialized the queue if `message` is a guild ID
+     * @private
+     * @ignore
+     * @param {string} event Event name
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+     * @param {Queue} queue The guild queue
+     * @param {...*} args Other event arguments
+     */
+    private _emitQueueEvent;
+    /**
+     * Save the queue, emit {@link DisTube#event:queueUpdate} and prefetch the upcoming songs after its songs change
+     * @private
+     * @ignore
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+     * @param {Queue} queue The guild queue
+     */
+    private _updateQueue;
+    /**
+     * Whether or not emit playSong event
+     * @private
+     * @ignore
+     */
+    private _emitPlaySong;
+    /**
+     * Get the ffmpeg filter chain of a queue
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {Song} [song=queue.songs[0]] The song to play
+     * @returns {string[]} ffmpeg filters
+     */
+    private _getAudioFilters;
+    /**
+     * Create a ytdl stream from the plugin resolved the song
+     * @async
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {Song} [song=queue.songs[0]] The song to stream
+     * @param {number} [beginTime=queue.beginTime] What time in the song to begin (in milliseconds), relative to {@link Song#startTime}
+     * @param {boolean} [pcm=false] Whether or not creating a 16-bit signed stereo PCM stream instead of an opus one
+     * @returns {Promise<Readable>}
+     */
+    private _createStream;
+    /**
+     * Play a song on voice connection
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {boolean} [paused=false] Whether or not the dispatcher is paused before it plays anything, e.g. for a restored paused queue
+     */
+    private _playSong;
+    /**
+     * Play the playing song again from where it stopped after a stream error
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Queue} queue The guild queue
+     * @param {Error} error The stream error
+     * @returns {boolean} `false` if the song has been retried {@link DisTubeOptions}.streamRetries times
+     */
+    private _retrySong;
+    /**
+     * Fetch the info of a YouTube song, or the stream url of another song, if it has not been fetched yet
+     * @async
+     * @private
+     * @ignore
+     * @param {Song} song The song
+     */
+    private _fetchSongInfo;
+    /**
+     * Resolve a song again to get its stream url, which is not saved by {@link Song#toJSON} since it expires
+     * @async
+     * @private
+     * @ignore
+     * @param {Song} song The song
+     * @returns {Promise<?string>} `null` if the song is streamed by its plugin
+     */
+    private _getStreamURL;
+    /**
+     * Get the segments of a song from {@link DisTubeOptions}.segmentProvider if they have not been fetched yet
+     * @async
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Song} song The song
+     */
+    private _fetchSegments;
+    /**
+     * Get the segment to skip at a position of the playing song
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {number} time Position in milliseconds, relative to {@link Song#startTime}
+     * @returns {?Segment}
+     */
+    private _getSkipSegment;
+    /**
+     * Skip the segments of the playing song when they are reached
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Queue} queue The guild queue
+     * @param {Discord.StreamDispatcher} dispatcher The playing dispatcher
+     */
+    private _watchSegments;
+    /**
+     * Resolve the upcoming songs in the background, removing the ones which cannot be resolved
+     * @private
+     * @ignore
+     * @param {Discord.Snowflake|Context} message The guild ID or the context of the command
+     * @param {Queue} queue The guild queue
+     */
+    private _prefetchSongs;
+    /**
+     * Fetch what an upcoming song needs to be played: its YouTube info or its stream url,
+     * the songs streamed by their plugin are checked with {@link ExtractorPlugin#getStreamURL}
+     * @async
+     * @private
+     * @ignore
+     * @param {Song} song The upcoming song
+     */
+    private _prefetchSong;
+    /**
+     * Prefetch the stream of the next song when the playing one is ending, and crossfade it if the playing stream is a {@link CrossfadeStream}
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Queue} queue The guild queue
+     * @param {Discord.StreamDispatcher} dispatcher The playing dispatcher
+     */
+    private _watchNextSong;
+    /**
+     * Get the song which is played after the playing one finishes
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @returns {?Song} `null` if the next song is unknown or should not be prefetched
+     */
+    private _getNextSong;
+    /**
+     * Create the stream of the next song
+     * @async
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Queue} queue The guild queue
+     * @param {Song} song The next song
+     * @param {boolean} pcm Whether or not creating a PCM stream, see {@link DisTube#_createStream}
+     */
+    private _prefetchStream;
+    /**
+     * Get the prefetched stream of a song if it can be played, destroying the prefetched stream otherwise
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {Song} song The song to play
+     * @param {boolean} pcm Whether or not the song is played as PCM
+     * @returns {?Readable}
+     */
+    private _takePrefetchedStream;
+    /**
+     * Destroy the prefetched stream of the next song
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     */
+    private _cancelPrefetch;
+    /**
+     * Mix the prefetched next song in and move to it
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Queue} queue The guild queue
+     */
+    private _crossfade;
+    /**
+     * Add a played song to {@link Queue#previousSongs} and {@link Queue#playedIDs}
+     * @private
+     * @ignore
+     * @param {Queue} queue The guild queue
+     * @param {Song} song The played song
+     */
+    private _addToHistory;
+    /**
+     * Handle the queue when a Song finish
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Queue} queue queue
+     */
+    private _handleSongFinish;
+    /**
+     * Handle error while playing
+     * @private
+     * @ignore
+     * @param {Context} message The context of the command
+     * @param {Queue} queue queue
+     * @param {Error} error error
+     */
+    private _handlePlayingError;
+    /**
+     *  Emitted after DisTube add playlist to guild queue
+     *
+     * @event DisTube#addList
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Playlist} playlist Playlist info
+     * @since 1.1.0
+     * @example
+     * const status = (queue) => `Volume: \`${queue.volume}%\` | Loop: \`${queue.repeatMode ? queue.repeatMode == 2 ? "Server Queue" : "This Song" : "Off"}\` | Autoplay: \`${queue.autoplay ? "On" : "Off"}\``;
+     * 
+     * distube.on("addList", (message, queue, playlist) => message.channel.send(
+     *     `Added \`${playlist.name}\` playlist (${playlist.songs.length} songs) to queue\n${status(queue)}`
+     * ));
+     */
+    on(event: "addList", listener: (message: Discord.Message | Context, queue: Queue, playlist: Playlist) => void): this;
+    /**
+     *  Emitted after DisTube add new song to guild queue
+     *
+     * @event DisTube#addSong
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Song} song Added song
+     * @example
+     * const status = (queue) => `Volume: \`${queue.volume}%\` | Loop: \`${queue.repeatMode ? queue.repeatMode == 2 ? "Server Queue" : "This Song" : "Off"}\` | Autoplay: \`${queue.autoplay ? "On" : "Off"}\``;
+     * 
+     * distube.on("addSong", (message, queue, song) => message.channel.send(
+     *     `Added ${song.name} - \`${song.formattedDuration}\` to the queue by ${song.user}`
+     * ));
+     */
+    on(event: "addSong", listener: (message: Discord.Message | Context, queue: Queue, song: Song) => void): this;
+    on(event: "empty" | "finish" | "noRelated" | "searchCancel", listener: (message: Discord.Message | Context) => void): this;
+    /**
+     * Emitted when `DisTube` encounters an error.
+     *
      * @event DisTube#error
-     * @param {Discord.Message} message The message from guild channel
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
      * @param {Error} err The error encountered
      * @example
      * distube.on("error", (message, err) => message.channel.send(
      *     "An error encountered: " + err
      * ));
      */
-    on(event: "error", listener: (message: Discord.Message, error: Error) => void): this;
+    on(event: "error", listener: (message: Discord.Message | Context, error: Error) => void): this;
 
     /**
      * Emitted when DisTube initialize a queue to change queue default properties.
@@ -509,7 +1351,7 @@ declare class DisTube extends EventEmitter {
      * and add the rest to the guild queue
      *
      * @event DisTube#playList
-     * @param {Discord.Message} message The message from guild channel
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
      * @param {Queue} queue The guild queue
      * @param {Playlist} playlist Playlist info
      * @param {Song} song Playing song
@@ -520,14 +1362,14 @@ declare class DisTube extends EventEmitter {
      *     `Play \`${playlist.name}\` playlist (${playlist.songs.length} songs).\nRequested by: ${song.user}\nNow playing \`${song.name}\` - \`${song.formattedDuration}\`\n${status(queue)}`
      * ));
      */
-    on(event: "playList", listener: (message: Discord.Message, queue: Queue, playlist: Playlist, song: Song) => void): this;
+    on(event: "playList", listener: (message: Discord.Message | Context, queue: Queue, playlist: Playlist, song: Song) => void): this;
 
     /**
      * Emitted when DisTube play a song.
      * If `DisTubeOptions.emitNewSongOnly` is `true`, event is not emitted when looping a song or next song is the previous one
      *
      * @event DisTube#playSong
-     * @param {Discord.Message} message The message from guild channel
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
      * @param {Queue} queue The guild queue
      * @param {Song} song Playing song
      * @example
@@ -537,16 +1379,16 @@ declare class DisTube extends EventEmitter {
      *     `Playing \`${song.name}\` - \`${song.formattedDuration}\`\nRequested by: ${song.user}\n${status(queue)}`
      * ));
      */
-    on(event: "playSong", listener: (message: Discord.Message, queue: Queue, song: Song) => void): this;
+    on(event: "playSong", listener: (message: Discord.Message | Context, queue: Queue, song: Song) => void): this;
 
     /**
      * Emitted when `DisTubeOptions.searchSongs` is `true`.
-     * DisTube will wait for user's next message to choose song manually
+     * DisTube will wait for user's next message, or `DisTubeOptions.searchChooser`, to choose song manually
      * if song param of DisTube#play() is invalid url
      *
      * @event DisTube#searchResult
-     * @param {Discord.Message} message The message from guild channel
-     * @param {Song[]} result Searched result (max length = 12)
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Song[]} result Searched result (max length = `DisTubeOptions.searchResultCount`)
      * @example
      * // DisTubeOptions.searchSongs = true
      * distube.on("searchResult", (message, result) => {
@@ -554,15 +1396,282 @@ declare class DisTube extends EventEmitter {
      *     message.channel.send(`**Choose an option from below**\n${result.map(song => `**${++i}**. ${song.title} - \`${song.formattedDuration}\``).join("\n")}\n*Enter anything else or wait 60 seconds to cancel*`);
      * });
      */
-    on(event: "searchResult", listener: (message: Discord.Message, result: SearchResult[]) => void): this;
+    on(event: "searchResult", listener: (message: Discord.Message | Context, result: SearchResult[]) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after DisTube restores a queue with {@link DisTube#restoreQueues}
+     *
+     * @event DisTube#restoreQueue
+     * @param {Discord.Message|Context} message The message which initialized the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The restored queue
+     */
+    on(event: "restoreQueue", listener: (message: Discord.Message | Context, queue: Queue) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after DisTube removes all the upcoming songs with {@link DisTube#clear|clear()}
+     *
+     * @event DisTube#clearQueue
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Song[]} songs Removed songs
+     */
+    on(event: "clearQueue", listener: (message: Discord.Message | Context, queue: Queue, songs: Song[]) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after DisTube inserts songs with {@link DisTube#insert|insert()}
+     *
+     * @event DisTube#insertSong
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Song[]} songs Inserted songs
+     * @param {number} position Song number of the first inserted song
+     */
+    on(event: "insertSong", listener: (message: Discord.Message | Context, queue: Queue, songs: Song[], position: number) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after DisTube moves a song with {@link DisTube#move|move()}
+     *
+     * @event DisTube#moveSong
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Song} song Moved song
+     * @param {number} from Old song number
+     * @param {number} to New song number
+     */
+    on(event: "moveSong", listener: (message: Discord.Message | Context, queue: Queue, song: Song, from: number, to: number) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after DisTube removes the duplicated songs with {@link DisTube#removeDuplicates|removeDuplicates()}
+     *
+     * @event DisTube#removeDuplicates
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Song[]} songs Removed songs
+     */
+    on(event: "removeDuplicates", listener: (message: Discord.Message | Context, queue: Queue, songs: Song[]) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after DisTube removes songs with {@link DisTube#remove|remove()}
+     *
+     * @event DisTube#removeSong
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Song[]} songs Removed songs
+     */
+    on(event: "removeSong", listener: (message: Discord.Message | Context, queue: Queue, songs: Song[]) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after DisTube swaps two songs with {@link DisTube#swap|swap()}
+     *
+     * @event DisTube#swapSong
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Song} first The first song
+     * @param {Song} second The second song
+     */
+    on(event: "swapSong", listener: (message: Discord.Message | Context, queue: Queue, first: Song, second: Song) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after {@link Queue#autoplay} is toggled with {@link DisTube#toggleAutoplay|toggleAutoplay()}
+     *
+     * @event DisTube#autoplayChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {boolean} autoplay The new autoplay mode
+     */
+    on(event: "autoplayChange", listener: (message: Discord.Message | Context, queue: Queue, autoplay: boolean) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the queue filters are changed with {@link DisTube#setFilter|setFilter()},
+     * {@link DisTube#addFilter|addFilter()}, {@link DisTube#removeFilter|removeFilter()},
+     * {@link DisTube#setFilters|setFilters()} or {@link DisTube#clearFilters|clearFilters()}
+     *
+     * @event DisTube#filterChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Filter[]} filters The enabled filters
+     */
+    on(event: "filterChange", listener: (message: Discord.Message | Context, queue: Queue, filters: Filter[]) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the queue is paused with {@link DisTube#pause|pause()}
+     *
+     * @event DisTube#pause
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     */
+    on(event: "pause", listener: (message: Discord.Message | Context, queue: Queue) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the songs of the queue change: songs added, removed, reordered or the next song played
+     *
+     * @event DisTube#queueUpdate
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     */
+    on(event: "queueUpdate", listener: (message: Discord.Message | Context, queue: Queue) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the repeat mode is changed with {@link DisTube#setRepeatMode|setRepeatMode()}
+     *
+     * @event DisTube#repeatModeChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {number} mode The new repeat mode
+     */
+    on(event: "repeatModeChange", listener: (message: Discord.Message | Context, queue: Queue, mode: number) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the queue is resumed with {@link DisTube#resume|resume()}
+     *
+     * @event DisTube#resume
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     */
+    on(event: "resume", listener: (message: Discord.Message | Context, queue: Queue) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the playing song is seeked with {@link DisTube#seek|seek()}
+     *
+     * @event DisTube#seek
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {number} time The new position in milliseconds
+     */
+    on(event: "seek", listener: (message: Discord.Message | Context, queue: Queue, time: number) => void): this;
+
+    /**
+     * `@2.9.0` Emitted when a song stops playing, before the next one starts
+     *
+     * @event DisTube#songFinish
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Song} song The finished song
+     * @param {("ended"|"skipped"|"error"|"stopped")} reason Why the song finished
+     */
+    on(event: "songFinish", listener: (message: Discord.Message | Context, queue: Queue, song: Song, reason: "ended" | "skipped" | "error" | "stopped") => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the volume is changed with {@link DisTube#setVolume|setVolume()}
+     *
+     * @event DisTube#volumeChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {number} volume The new volume
+     */
+    on(event: "volumeChange", listener: (message: Discord.Message | Context, queue: Queue, volume: number) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the equalizer is changed with {@link DisTube#setEqualizer|setEqualizer()}
+     *
+     * @event DisTube#equalizerChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {?Equalizer} equalizer The equalizer settings, `null` if disabled
+     */
+    on(event: "equalizerChange", listener: (message: Discord.Message | Context, queue: Queue, equalizer: Equalizer | null) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the playback speed is changed with {@link DisTube#setSpeed|setSpeed()}
+     *
+     * @event DisTube#speedChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {number} speed The new playback speed factor
+     */
+    on(event: "speedChange", listener: (message: Discord.Message | Context, queue: Queue, speed: number) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the pitch is changed with {@link DisTube#setPitch|setPitch()}
+     *
+     * @event DisTube#pitchChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {number} pitch The new pitch factor
+     */
+    on(event: "pitchChange", listener: (message: Discord.Message | Context, queue: Queue, pitch: number) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the tempo is changed with {@link DisTube#setTempo|setTempo()}
+     *
+     * @event DisTube#tempoChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {number} tempo The new tempo factor
+     */
+    on(event: "tempoChange", listener: (message: Discord.Message | Context, queue: Queue, tempo: number) => void): this;
+
+    /**
+     * `@2.9.0` Emitted after the A-B loop is set with {@link DisTube#setABLoop|setABLoop()} or cleared
+     * with {@link DisTube#clearABLoop|clearABLoop()} or when the song is skipped
+     *
+     * @event DisTube#abLoopChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {?{start: number, end: number}} section The repeated section in milliseconds, `null` if cleared
+     */
+    on(event: "abLoopChange", listener: (message: Discord.Message | Context, queue: Queue, section: { start: number; end: number } | null) => void): this;
+
+    /**
+     * `@2.9.0` Emitted when the playing song reaches another chapter or a chapter is played with
+     * {@link DisTube#nextChapter|nextChapter()}, {@link DisTube#previousChapter|previousChapter()} or {@link DisTube#jumpToChapter|jumpToChapter()}.
+     * Not emitted for the first chapter of a new song.
+     *
+     * @event DisTube#chapterChange
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Chapter} chapter The playing chapter
+     * @example
+     * distube.on("chapterChange", (message, queue, chapter) => message.channel.send(`Chapter: ${chapter.title}`));
+     */
+    on(event: "chapterChange", listener: (message: Discord.Message | Context, queue: Queue, chapter: Song.Chapter) => void): this;
+
+    /**
+     * `@2.9.0` Emitted when a segment of the playing song is skipped.
+     * See {@link DisTubeOptions}.segmentProvider and {@link DisTubeOptions}.skipSegments
+     *
+     * @event DisTube#segmentSkip
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Segment} segment The skipped segment
+     * @example
+     * distube.on("segmentSkip", (message, queue, segment) => message.channel.send(`Skipped ${segment.category} segment`));
+     */
+    on(event: "segmentSkip", listener: (message: Discord.Message | Context, queue: Queue, segment: Song.Segment) => void): this;
+
+    /**
+     * `@2.9.0` Emitted when the playing song is played again from where it stopped after a stream error.
+     * The song is skipped with {@link DisTube#event:error} after {@link DisTubeOptions}.streamRetries attempts.
+     *
+     * @event DisTube#streamRetry
+     * @param {Discord.Message|Context} message The message of the command or the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @param {Song} song The retried song
+     * @param {number} attempt The retry number, starting from 1
+     * @param {Error} error The stream error
+     * @example
+     * distube.on("streamRetry", (message, queue, song, attempt) => console.log(`Retrying ${song.name} (${attempt})`));
+     */
+    on(event: "streamRetry", listener: (message: Discord.Message | Context, queue: Queue, song: Song, attempt: number, error: Error) => void): this;
+
+    /**
+     * `@2.9.0` Emitted when the bot is disconnected from the voice channel without `DisTube#stop()`,
+     * e.g. it is kicked or the connection cannot be recovered. The queue is stopped.
+     *
+     * @event DisTube#disconnect
+     * @param {Discord.Message|Context} message The message which initialized the queue, its {@link Context} if it is not a message
+     * @param {Queue} queue The guild queue
+     * @example
+     * distube.on("disconnect", message => message.channel.send("Disconnected from the voice channel"));
+     */
+    on(event: "disconnect", listener: (message: Discord.Message | Context, queue: Queue) => void): this;
 }
 declare namespace DisTube {
-    export { DisTubeOptions, Filter };
+    export { Context, ExtractorPlugin, QueueStore, JSONFileStore, MetadataCache, MemoryCache, VoiceBackend, LegacyVoiceBackend, DiscordVoiceBackend, equalizerPresets, Equalizer, LoudnessNormalization, DisTubeOptions, SearchResultChooser, SearchChooserOptions, Filter };
 }
 import { EventEmitter } from "events";
 import Discord = require("discord.js");
 import Queue = require("./Queue");
-import Playlist = require("./Playlist");
 declare namespace DisTubeOptions {
     const highWaterMark: number;
     const emitNewSongOnly: boolean;
@@ -575,13 +1684,76 @@ declare namespace DisTubeOptions {
     const youtubeDL: boolean;
     const updateYouTubeDL: boolean;
     const customFilters: {};
+    const localMediaRoot: any;
+    const queueStore: any;
+    const queueStoreInterval: number;
+    const historySize: number;
+    const plugins: any[];
+    const fadeIn: number;
+    const fadeOut: number;
+    const crossfade: number;
+    const normalizeLoudness: boolean;
+    const defaultVolume: number;
+    const minVolume: number;
+    const maxVolume: number;
+    const segmentProvider: any;
+    const skipSegments: string[];
+    const streamRetries: number;
+    const streamRetryDelay: number;
+    const prefetchSongs: number;
+    const metadataCache: boolean;
+    const voiceBackend: any;
+    const searchResultCount: number;
+    const searchTimeout: number;
+    const searchAnyListener: boolean;
+    const searchChooser: any;
 }
 /**
  * DisTube audio filters.
  */
 type Filter = ("3d" | "bassboost" | "echo" | "karaoke" | "nightcore" | "vaporwave" | "flanger" | "gate" | "haas" | "reverse" | "surround" | "mcompand" | "phaser" | "tremolo" | "earwax" | string);
+import MetadataCache = require("./MetadataCache");
+import VoiceBackend = require("./VoiceBackend");
+import ExtractorPlugin = require("./ExtractorPlugin");
 import Song = require("./Song");
 import SearchResult = require("./SearchResult");
+import Playlist = require("./Playlist");
+/**
+ * `@2.9.0` Equalizer settings.
+ */
+type Equalizer = {
+    /**
+     * Gains in dB (-20 to 20) of a 10-band equalizer
+     * (31, 62, 125, 250, 500, 1k, 2k, 4k, 8k, 16k Hz) or a 15-band equalizer
+     * (25, 40, 63, 100, 160, 250, 400, 630, 1k, 1.6k, 2.5k, 4k, 6.3k, 10k, 16k Hz)
+     */
+    bands?: number[];
+    /**
+     * A preset used if `bands` is not set
+     */
+    preset?: any;
+    /**
+     * Bass gain in dB (-20 to 20)
+     */
+    bass?: number;
+    /**
+     * Treble gain in dB (-20 to 20)
+     */
+    treble?: number;
+};
+import Context = require("./Context");
+import QueueStore = require("./QueueStore");
+import JSONFileStore = require("./stores/JSONFileStore");
+import MemoryCache = require("./caches/MemoryCache");
+import LegacyVoiceBackend = require("./voice/LegacyVoiceBackend");
+import DiscordVoiceBackend = require("./voice/DiscordVoiceBackend");
+import { presets as equalizerPresets } from "./equalizer";
+/**
+ * `@2.9.0` Loudness normalization modes.
+ * * `"loudnorm"`: Normalize the songs to -16 LUFS with the ffmpeg `loudnorm` filter (EBU R128)
+ * * `"replaygain"`: Apply the {@link Song#gain} of the songs, songs without gain are not changed
+ */
+type LoudnessNormalization = ("loudnorm" | "replaygain");
 /**
  * DisTube options.
  */
@@ -632,4 +1804,125 @@ type DisTubeOptions = {
     customFilters?: {
         [x: string]: string;
     };
+    /**
+     * `@2.9.0` Directory which `file://` urls can be played from. Directories are played as a playlist. Local files are disabled if not set.
+     */
+    localMediaRoot?: string;
+    /**
+     * `@2.9.0` Store to persist the guild queues, see {@link DisTube#restoreQueues}. Queues are not persisted if not set.
+     */
+    queueStore?: QueueStore;
+    /**
+     * `@2.9.0` How often (in milliseconds) the playing position of the queues is saved to {@link DisTubeOptions }.queueStore.
+     */
+    queueStoreInterval?: number;
+    /**
+     * `@2.9.0` Maximum number of played songs kept in {@link Queue#previousSongs}.
+     */
+    historySize?: number;
+    /**
+     * `@2.9.0` Extractor plugins to resolve more sources. They are checked in order before the built-in YouTube and youtube-dl ones.
+     */
+    plugins?: ExtractorPlugin[];
+    /**
+     * `@2.9.0` Duration (in milliseconds) of the fade-in when a song starts or the queue is resumed.
+     */
+    fadeIn?: number;
+    /**
+     * `@2.9.0` Duration (in milliseconds) of the fade-out when the queue is paused or stopped or a song is skipped.
+     */
+    fadeOut?: number;
+    /**
+     * `@2.9.0` Duration (in milliseconds) of the crossfade between songs.
+     * The next song is prefetched and mixed with the end of the playing one. Live streams are not crossfaded.
+     */
+    crossfade?: number;
+    /**
+     * `@2.9.0` Normalize the loudness of the songs, `true` is `"loudnorm"`.
+     * It is applied with the filters, before {@link Queue#volume}.
+     */
+    normalizeLoudness?: boolean | LoudnessNormalization;
+    /**
+     * `@2.9.0` {@link Queue#volume} of the new queues.
+     */
+    defaultVolume?: number;
+    /**
+     * `@2.9.0` Default {@link Queue#minVolume} of the new queues.
+     */
+    minVolume?: number;
+    /**
+     * `@2.9.0` Default {@link Queue#maxVolume} of the new queues.
+     */
+    maxVolume?: number;
+    /**
+     * `@2.9.0` Get the segments of a song
+     * (e.g. from a SponsorBlock database dump keyed by {@link Song#id}) when it starts playing. See {@link Song#segments}
+     */
+    segmentProvider?: ((arg0: Song) => (any[] | Promise<any[]>)) | null;
+    /**
+     * `@2.9.0` Categories of the segments skipped automatically.
+     */
+    skipSegments?: string[];
+    /**
+     * `@2.9.0` How many times a song is played again from where it stopped after a stream error
+     * (e.g. an expired stream URL) before skipping it. See {@link DisTube#event:streamRetry}
+     */
+    streamRetries?: number;
+    /**
+     * `@2.9.0` Delay (in milliseconds) before the first retry, doubled after each one.
+     */
+    streamRetryDelay?: number;
+    /**
+     * `@2.9.0` Voice backend joining the voice channels and playing the songs,
+     * a {@link LegacyVoiceBackend } with discord.js v12 and a {@link DiscordVoiceBackend } (requires `@discordjs/voice`) with discord.js v13 by default.
+     */
+    voiceBackend?: VoiceBackend;
+    /**
+     * `@2.9.0` Cache of the video info and search results shared between guilds.
+     * `true` uses a {@link MemoryCache }, `false` disables it. Video info are not kept after their stream urls expire.
+     * Each cached video info is a full ytdl or youtube-dl info with all its formats, mind the memory usage when opting in.
+     */
+    metadataCache?: MetadataCache | boolean;
+    /**
+     * `@2.9.0` How many upcoming songs are resolved in the background, so the next songs start without delay.
+     * Songs which cannot be resolved are removed from the queue with {@link DisTube#event:error} before they are reached.
+     * The stream of the next song is also created a few seconds before the playing one ends. `0` to disable.
+     */
+    prefetchSongs?: number;
+    /**
+     * `@2.9.0` How many results can be chosen from when {@link DisTubeOptions }.searchSongs is `true`.
+     */
+    searchResultCount?: number;
+    /**
+     * `@2.9.0` How long (in milliseconds) DisTube waits for a search result to be chosen.
+     */
+    searchTimeout?: number;
+    /**
+     * `@2.9.0` Whether or not anyone listening in the voice channel can choose a search result,
+     * only the user of the command can if `false`.
+     */
+    searchAnyListener?: boolean;
+    /**
+     * `@2.9.0` Let the user choose a search result, e.g. with buttons, a select menu or reactions.
+     * The user types the number of the result in the text channel if not set.
+     */
+    searchChooser?: SearchResultChooser | null;
+};
+/**
+ * `@2.9.0` Choose one of the search results, see {@link DisTubeOptions }.searchChooser.
+ * It is called after {@link DisTube#event:searchResult} and cancels the search if it resolves `null`, rejects or times out.
+ */
+type SearchResultChooser = (arg0: Context, arg1: SearchResult[], arg2: SearchChooserOptions) => ((SearchResult | Promise<SearchResult | null>) | null);
+/**
+ * `@2.9.0` Passed to a {@link SearchResultChooser }.
+ */
+type SearchChooserOptions = {
+    /**
+     * How long (in milliseconds) the result can be chosen, {@link DisTubeOptions }.searchTimeout
+     */
+    time: number;
+    /**
+     * Whether or not a user can choose the result, see {@link DisTubeOptions }.searchAnyListener
+     */
+    filter: (arg0: Discord.User) => boolean;
 };
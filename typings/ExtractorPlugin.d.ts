@@ -0,0 +1,78 @@
+export = ExtractorPlugin;
+/**
+ * `@2.9.0` Class representing an extractor plugin.
+ * Extend it and register the instance with {@link DisTubeOptions}.plugins or {@link DisTube#registerPlugin}
+ * to let DisTube play songs from another source.
+ * A plugin can also implement `createStream(song, streamOptions)` to return the opus stream itself
+ * instead of an url from {@link ExtractorPlugin#getStreamURL}.
+ * @abstract
+ * @example
+ * class IcecastPlugin extends ExtractorPlugin {
+ *     constructor() { super("icecast") }
+ *     validate(url) { return url.startsWith("https://radio.example.com/") }
+ *     async resolve(url, user) {
+ *         return new Song({ title: url, url, webpage_url: url, is_live: true }, user);
+ *     }
+ * }
+ * const distube = new DisTube(client, { plugins: [new IcecastPlugin()] });
+ */
+declare class ExtractorPlugin {
+    /**
+     * Create an extractor plugin.
+     * @param {string} name The plugin name, must be unique
+     */
+    constructor(name: string);
+    /**
+     * The plugin name
+     * @type {string}
+     */
+    name: string;
+    /**
+     * The DisTube which registered the plugin
+     * @type {?DisTube}
+     */
+    distube: any;
+    /**
+     * Called when the plugin is registered to a DisTube
+     * @param {DisTube} distube DisTube
+     */
+    init(distube: any): void;
+    /**
+     * Check if the url is supported by this plugin
+     * @param {string} url The url to check
+     * @returns {boolean|Promise<boolean>}
+     */
+    validate(url: string): boolean | Promise<boolean>;
+    /**
+     * Check if the url is a playlist supported by {@link ExtractorPlugin#resolvePlaylist}
+     * @param {string} url The url to check
+     * @returns {boolean|Promise<boolean>}
+     */
+    validatePlaylist(url: string): boolean | Promise<boolean>;
+    /**
+     * Resolve a validated url to a {@link Song} or an array of {@link Song}
+     * @async
+     * @param {string} url The url to resolve
+     * @param {Discord.User} user Requested user
+     * @returns {Promise<Song|Song[]>}
+     */
+    resolve(url: string, user: Discord.User): Promise<Song | Song[]>;
+    /**
+     * Resolve a validated playlist url to a {@link Playlist}
+     * @async
+     * @param {string} url The playlist url to resolve
+     * @param {Discord.User} user Requested user
+     * @returns {Promise<Playlist>}
+     */
+    resolvePlaylist(url: string, user: Discord.User): Promise<Playlist>;
+    /**
+     * Get the url used to stream the song, {@link Song#streamURL} if not overridden.
+     * @async
+     * @param {Song} song The song to stream
+     * @returns {Promise<string>}
+     */
+    getStreamURL(song: Song): Promise<string>;
+}
+import Discord = require("discord.js");
+import Song = require("./Song");
+import Playlist = require("./Playlist");
@@ -0,0 +1,61 @@
+export = MetadataCache;
+/**
+ * `@2.9.0` Class representing a metadata cache, used to share the video info and search results between guilds.
+ * Extend it and set the instance to {@link DisTubeOptions}.metadataCache to use another store.
+ * The cached values are JSON-serializable objects.
+ * @abstract
+ * @example
+ * class RedisCache extends MetadataCache {
+ *     constructor(redis) { super(); this.redis = redis }
+ *     async get(key) {
+ *         const value = await this.redis.get(`distube:${key}`);
+ *         return value ? JSON.parse(value) : undefined;
+ *     }
+ *     set(key, value, ttl = 3600000) { return this.redis.set(`distube:${key}`, JSON.stringify(value), "PX", ttl) }
+ *     delete(key) { return this.redis.del(`distube:${key}`) }
+ * }
+ */
+declare class MetadataCache {
+    /**
+     * Cache hits and misses of {@link MetadataCache#fetch}
+     * @type {{hits: number, misses: number}}
+     */
+    stats: {
+        hits: number;
+        misses: number;
+    };
+    /**
+     * Get a cached value
+     * @async
+     * @param {string} key The key
+     * @returns {Promise<*>} `undefined` if the value is not cached or has expired
+     */
+    get(key: string): Promise<any>;
+    /**
+     * Cache a value
+     * @async
+     * @param {string} key The key
+     * @param {*} value The value
+     * @param {number} [ttl] How long (in milliseconds) the value is kept, the cache default if not set
+     * @returns {Promise<void>}
+     */
+    set(key: string, value: any, ttl?: number): Promise<void>;
+    /**
+     * Delete a cached value
+     * @async
+     * @param {string} key The key
+     * @returns {Promise<void>}
+     */
+    delete(key: string): Promise<void>;
+    /**
+     * Get a cached value, or load and cache it.
+     * Errors of the cache are ignored, the value is loaded instead.
+     * @async
+     * @param {string} key The key
+     * @param {function(): Promise<*>} loader Load the value if it is not cached, its errors are not cached
+     * @param {number|function(*): ?number} [ttl] How long (in milliseconds) the value is kept, or a function getting it from the value.
+     * The value is not cached if it is not positive
+     * @returns {Promise<*>}
+     */
+    fetch(key: string, loader: () => Promise<any>, ttl?: number | ((arg0: any) => number | null)): Promise<any>;
+}
@@ -1,6 +1,13 @@
 export = Playlist;
 /** Class representing a playlist. */
 declare class Playlist {
+    /**
+     * `@2.9.0` Create a playlist from {@link Playlist#toJSON} data.
+     * @param {Object} json Serialized playlist
+     * @param {DisTube} distube DisTube, used to resolve the users and the plugins
+     * @returns {Playlist}
+     */
+    static fromJSON(json: any, distube: any): Playlist;
     /**
      * Create a playlist
      * @param {ytpl.result|Song[]} playlist Playlist
@@ -68,6 +75,11 @@ declare class Playlist {
      * @type {string}
      */
     get formattedDuration(): string;
+    /**
+     * `@2.9.0` Serialize the playlist. See {@link Song#toJSON}.
+     * @returns {Object}
+     */
+    toJSON(): any;
 }
 import Discord = require("discord.js");
 import Song = require("./Song");
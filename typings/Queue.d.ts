@@ -3,19 +3,28 @@ export = Queue;
  * Represents a queue.
  */
 declare class Queue {
+    /**
+     * `@2.9.0` Create a queue from {@link Queue#toJSON} data.
+     * The queue is not connected to any voice channel, {@link Queue#beginTime} is set to the saved position.
+     * @param {Object} json Serialized queue
+     * @param {DisTube} distube DisTube, used to resolve the users and the plugins
+     * @param {Context} [context=null] The context which initializes the queue
+     * @returns {Queue}
+     */
+    static fromJSON(json: any, distube: DisTube, context?: any): Queue;
     /**
     * Create a queue.
-    * @param {Discord.Message} message Discord.Message
+    * @param {Context} context The context which initializes the queue
     * @param {Song} song The first Song of the Queue
     */
-    constructor(message: Discord.Message, song: Song);
+    constructor(context: any, song: Song);
     /**
-     * Stream dispatcher.
+     * Stream dispatcher, created by the voice connection. See {@link VoiceBackend}
      * @type {Discord.StreamDispatcher}
      */
     dispatcher: Discord.StreamDispatcher;
     /**
-     * Voice connection.
+     * Voice connection, created by {@link DisTube#voice}. See {@link VoiceBackend}
      * @type {Discord.VoiceConnection}
      */
     connection: Discord.VoiceConnection;
@@ -24,6 +33,16 @@ declare class Queue {
      * @type {number}
      */
     volume: number;
+    /**
+     * `@2.9.0` Minimum volume of {@link DisTube#setVolume}, see {@link DisTube#setVolumeBounds}.
+     * @type {number}
+     */
+    minVolume: number;
+    /**
+     * `@2.9.0` Maximum volume of {@link DisTube#setVolume}, see {@link DisTube#setVolumeBounds}.
+     * @type {number}
+     */
+    maxVolume: number;
     /**
      * List of songs
      * @type {Song[]}
@@ -54,52 +73,211 @@ declare class Queue {
      * @type {number}
      */
     repeatMode: number;
+    /**
+     * `@2.9.0` The section (in milliseconds) of the playing song which is repeated, `null` if disabled.
+     * See {@link DisTube#setABLoop}
+     * @type {?{start: number, end: number}}
+     */
+    abLoop: {
+        start: number;
+        end: number;
+    };
     /**
      * Whether or not the autoplay mode is enabled.
      * @type {boolean}
      */
     autoplay: boolean;
     /**
-     * `@2.0.0` Queue audio filter.
+     * `@2.9.0` Enabled audio filters, applied in order.
      * Available filters: {@link Filter}
-     * @type {DisTube.Filter}
+     * @type {DisTube.Filter[]}
      */
-    filter: DisTube.Filter;
+    filters: DisTube.Filter[];
     /**
-     * `@2.2.0` Message which initialize the queue
-     * @type {Discord.Message}
+     * `@2.9.0` Equalizer settings, `null` if disabled.
+     * See {@link DisTube#setEqualizer}
+     * @type {?DisTube.Equalizer}
      */
-    initMessage: Discord.Message;
+    equalizer: DisTube.Equalizer | null;
+    /**
+     * `@2.9.0` Playback speed, changes both the tempo and the pitch. See {@link DisTube#setSpeed}
+     * @type {number}
+     */
+    speed: number;
+    /**
+     * `@2.9.0` Pitch factor, does not change the tempo. See {@link DisTube#setPitch}
+     * @type {number}
+     */
+    pitch: number;
+    /**
+     * `@2.9.0` Tempo factor, does not change the pitch. See {@link DisTube#setTempo}
+     * @type {number}
+     */
+    tempo: number;
+    /**
+     * `@2.9.0` The context which initializes the queue, passed to the events of the queue
+     * @type {Context}
+     */
+    context: any;
     /**
      * `@2.5.0` ytdl stream
      * @type {Readable}
      */
     stream: any;
     /**
-     * `@2.7.0` What time in the song to begin (in milliseconds).
+     * `@2.7.0` What time in the song to begin (in milliseconds), from the {@link Song#startTime} of clipped songs.
      * @type {number}
      */
     beginTime: number;
+    /**
+     * `@2.9.0` Played songs, the oldest first.
+     * Limited to {@link DisTubeOptions}.historySize songs.
+     * **Breaking change:** it was an array of the played song IDs before `2.9.0`, use {@link Queue#playedIDs} instead.
+     * @type {Song[]}
+     */
+    previousSongs: Song[];
+    /**
+     * `@2.9.0` IDs of all the songs played in the queue, not limited by {@link DisTubeOptions}.historySize.
+     * Autoplay does not add them again.
+     * @type {Set<string>}
+     */
+    playedIDs: Set<string>;
+    /**
+     * `@2.9.0` Whether or not the previous song will be played after the current one ends.
+     * @type {boolean}
+     * @private
+     * @ignore
+     */
+    private prev;
+    /**
+     * `@2.9.0` Dispatcher stream time (in milliseconds) when the playing song started,
+     * not 0 if the song has been crossfaded in.
+     * @type {number}
+     * @private
+     * @ignore
+     */
+    private songStartTime;
+    /**
+     * `@2.9.0` The running volume fade.
+     * @type {?{cancel: Function}}
+     * @private
+     * @ignore
+     */
+    private fading;
+    /**
+     * `@2.9.0` The dispatcher fading out before ending.
+     * @type {?Discord.StreamDispatcher}
+     * @private
+     * @ignore
+     */
+    private ending;
+    /**
+     * `@2.9.0` The next song and its prefetched stream, played or crossfaded in when the playing song ends.
+     * @type {?{song: Song, stream: ?Readable, pcm: boolean, onError: ?Function}}
+     * @private
+     * @ignore
+     */
+    private next;
+    /**
+     * `@2.9.0` The running volume ramp.
+     * @type {?{cancel: Function}}
+     * @private
+     * @ignore
+     */
+    private volumeRamp;
+    /**
+     * `@2.9.0` The last chapter seen playing, to emit {@link DisTube#event:chapterChange}.
+     * @type {?{song: Song, chapter: ?Chapter}}
+     * @private
+     * @ignore
+     */
+    private chapter;
+    /**
+     * `@2.9.0` The song played again after stream errors and the number of attempts.
+     * @type {?{song: Song, attempts: number}}
+     * @private
+     * @ignore
+     */
+    private retry;
+    /**
+     * `@2.2.0` Message which initialize the queue, `null` if the queue is not initialized by a message. See {@link Queue#context}
+     * @type {?Discord.Message}
+     */
+    get initMessage(): Discord.Message;
+    /**
+     * `@2.9.0` Played songs, the most recent first.
+     * @type {Song[]}
+     */
+    get history(): Song[];
+    set filter(arg: string);
+    /**
+     * `@2.0.0` Queue audio filter, the last enabled one of {@link Queue#filters}.
+     * Setting it replaces all the enabled filters.
+     * Available filters: {@link Filter}
+     * @type {?DisTube.Filter}
+     */
+    get filter(): string;
     /**
      * Formatted duration string.
      * @type {string}
      */
     get formattedDuration(): string;
     /**
-     * Queue's duration.
+     * Queue's duration, the total duration of its songs.
+     * Like {@link Queue#currentTime}, it does not depend on {@link Queue#playbackRate}, see {@link Queue#remainingTime}.
      * @type {number}
      */
     get duration(): number;
+    /**
+     * `@2.9.0` The time (in milliseconds) needed to play the rest of the queue at {@link Queue#playbackRate}.
+     * @type {number}
+     */
+    get remainingTime(): number;
+    /**
+     * `@2.9.0` Formatted {@link Queue#remainingTime} string.
+     * @type {string}
+     */
+    get formattedRemainingTime(): string;
+    /**
+     * `@2.9.0` How fast the songs are played, combining {@link Queue#speed} and {@link Queue#tempo}.
+     * @type {number}
+     */
+    get playbackRate(): number;
     /**
      * `@2.7.0` What time in the song is playing (in milliseconds).
+     * It is the position in the song, not the time elapsed since it began when {@link Queue#playbackRate} is not 1.
+     * The position in clipped songs is counted from their {@link Song#startTime}.
      * @type {number}
      */
     get currentTime(): number;
+    /**
+     * `@2.9.0` The playing chapter of the playing song, `null` if the song has no chapters.
+     * @type {?Chapter}
+     */
+    get currentChapter(): any;
     /**
      * `@2.8.0` Formatted {@link Queue#currentTime} string.
      * @type {string}
      */
     get formattedCurrentTime(): string;
+    /**
+     * `@2.9.0` Serialize the queue. The voice connection, the dispatcher and the stream are omitted,
+     * the guild and channels are replaced by their IDs. See {@link Song#toJSON}.
+     * @returns {Object}
+     */
+    toJSON(): any;
+    /**
+     * `@2.9.0` Export the queue songs as a M3U8 playlist.
+     * @param {string} [name] Playlist name
+     * @returns {string}
+     */
+    toM3U(name?: string): string;
+    /**
+     * `@2.9.0` Export the queue songs as a XSPF playlist.
+     * @param {string} [name] Playlist name
+     * @returns {string}
+     */
+    toXSPF(name?: string): string;
 }
 import Discord = require("discord.js");
 import Song = require("./Song");
@@ -0,0 +1,44 @@
+export = QueueStore;
+/**
+ * `@2.9.0` Class representing a queue store, used to persist guild queues across restarts.
+ * Extend it and set the instance to {@link DisTubeOptions}.queueStore.
+ * The data are created by {@link Queue#toJSON}.
+ * @abstract
+ * @example
+ * class RedisQueueStore extends QueueStore {
+ *     constructor(redis) { super(); this.redis = redis }
+ *     async load() {
+ *         const data = await this.redis.hgetall("distube:queues");
+ *         for (const id in data) data[id] = JSON.parse(data[id]);
+ *         return data;
+ *     }
+ *     save(guildID, queue) { return this.redis.hset("distube:queues", guildID, JSON.stringify(queue)) }
+ *     delete(guildID) { return this.redis.hdel("distube:queues", guildID) }
+ * }
+ */
+declare class QueueStore {
+    /**
+     * Load all the saved queues
+     * @async
+     * @returns {Promise<Object.<string, Object>>} Serialized queues keyed by guild ID
+     */
+    load(): Promise<{
+        [x: string]: any;
+    }>;
+    /**
+     * Save a queue
+     * @async
+     * @param {Discord.Snowflake} guildID The guild ID
+     * @param {Object} queue Serialized queue
+     * @returns {Promise<void>}
+     */
+    save(guildID: Discord.Snowflake, queue: any): Promise<void>;
+    /**
+     * Delete a saved queue
+     * @async
+     * @param {Discord.Snowflake} guildID The guild ID
+     * @returns {Promise<void>}
+     */
+    delete(guildID: Discord.Snowflake): Promise<void>;
+}
+import Discord = require("discord.js");
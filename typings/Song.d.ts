@@ -1,6 +1,14 @@
 export = Song;
 /** Class representing a song. */
 declare class Song {
+    /**
+     * `@2.9.0` Create a song from {@link Song#toJSON} data.
+     * @param {Object} json Serialized song
+     * @param {DisTube} distube DisTube, used to resolve the user from the client cache and the plugin.
+     * Fetch the user before if it may not be cached, {@link Song#userID} keeps its ID otherwise
+     * @returns {Song}
+     */
+    static fromJSON(json: any, distube: any): Song;
     /**
      * Create a song.
      * @param {ytdl.videoInfo|Object} info Video info
@@ -19,6 +27,11 @@ declare class Song {
      * @type {Discord.User}
      */
     user: Discord.User;
+    /**
+     * `@2.9.0` ID of the user requested, kept if {@link Song#user} cannot be resolved by {@link Song.fromJSON}
+     * @type {?Discord.Snowflake}
+     */
+    userID: Discord.Snowflake | null;
     /**
      * `@2.1.4` Youtube video id
      * @type {string}
@@ -35,15 +48,21 @@ declare class Song {
      */
     isLive: boolean;
     /**
-     * Song duration.
+     * `@2.9.0` Duration of the whole source in seconds, setting {@link Song#duration} sets it.
      * @type {number}
      */
-    duration: number;
+    sourceDuration: number;
     /**
-     * Formatted duration string `hh:mm:ss` or `mm:ss`.
-     * @type {string}
+     * `@2.9.0` Where the song starts in the source (in seconds). See {@link Song#setClip}
+     * @type {number}
      */
-    formattedDuration: string;
+    startTime: number;
+    /**
+     * `@2.9.0` Where the song ends in the source (in seconds), `null` if it is played until the end.
+     * See {@link Song#setClip}
+     * @type {?number}
+     */
+    endTime: number | null;
     /**
      * Song URL.
      * @type {string}
@@ -89,6 +108,31 @@ declare class Song {
      * @type {number}
      */
     reposts: number;
+    /**
+     * `@2.9.0` ReplayGain-style gain (in dB) normalizing the song loudness, `null` if unknown.
+     * It is the gain to apply: negative for loud songs, positive for quiet ones.
+     * It comes from the ReplayGain track gain tag of local files and from the negated `loudnessDb` of YouTube videos.
+     * Used if {@link DisTubeOptions}.normalizeLoudness is `"replaygain"`
+     * @type {?number}
+     */
+    gain: number | null;
+    /**
+     * `@2.9.0` Song chapters from the video info or the timestamps of its description, sorted by start time.
+     * YouTube chapters are available after the song info is fetched (when it starts playing).
+     * @type {Chapter[]}
+     */
+    chapters: Chapter[];
+    /**
+     * `@2.9.0` Song segments skipped if their category is in {@link DisTubeOptions}.skipSegments,
+     * `null` if they have not been fetched from {@link DisTubeOptions}.segmentProvider yet.
+     * @type {?Segment[]}
+     */
+    segments: Segment[] | null;
+    /**
+     * `@2.9.0` The plugin which resolved the song, used to create its stream.
+     * @type {?ExtractorPlugin}
+     */
+    plugin: any;
     /**
      * @deprecated use `Song.name` instead
      * @type {string}
@@ -99,6 +143,68 @@ declare class Song {
      * @type {string}
      */
     link: string;
+    set duration(arg: number);
+    /**
+     * Song duration in seconds, the duration of the clip if {@link Song#startTime} or {@link Song#endTime} is set.
+     * @type {number}
+     */
+    get duration(): number;
+    /**
+     * Formatted duration string `hh:mm:ss` or `mm:ss`.
+     * @type {string}
+     */
+    get formattedDuration(): string;
+    /**
+     * `@2.9.0` Play only a part of the song. {@link Song#duration} becomes the duration of the clip.
+     * @param {number|string} [startTime=0] Where the song starts in seconds, or a string like `"1:30"` or `"1m30s"`
+     * @param {?(number|string)} [endTime=null] Where the song ends, `null` to play it until the end
+     * @returns {Song} The song
+     * @throws {Error} if the song is a live stream
+     * @throws {RangeError} if `startTime` or `endTime` is invalid
+     * @example
+     * song.setClip("1:00", "2:30");
+     */
+    setClip(startTime?: number | string, endTime?: (number | string) | null): Song;
+    /**
+     * `@2.9.0` Serialize the song. {@link Song#user} is replaced by its ID,
+     * video info, related videos and the stream url (which expires) are omitted and fetched again when the song is played.
+     * @returns {Object}
+     */
+    toJSON(): any;
+}
+declare namespace Song {
+    export { Chapter, Segment };
 }
 import Discord = require("discord.js");
 import ytdl = require("ytdl-core");
+/**
+ * `@2.9.0` A chapter of a song.
+ */
+type Chapter = {
+    /**
+     * Chapter title
+     */
+    title: string;
+    /**
+     * Where the chapter starts in the source (in seconds)
+     */
+    startTime: number;
+};
+/**
+ * `@2.9.0` A time range of a song which can be skipped automatically, like SponsorBlock segments.
+ * See {@link DisTubeOptions }.segmentProvider
+ */
+type Segment = {
+    /**
+     * Segment category, e.g. `"sponsor"`, `"intro"`, `"outro"`
+     */
+    category: string;
+    /**
+     * Where the segment starts in the source (in seconds)
+     */
+    start: number;
+    /**
+     * Where the segment ends in the source (in seconds)
+     */
+    end: number;
+};
@@ -0,0 +1,35 @@
+export = MemoryCache;
+/**
+ * `@2.9.0` Built-in in-memory LRU cache, used when {@link DisTubeOptions}.metadataCache is `true`.
+ * @extends MetadataCache
+ * @example
+ * const distube = new DisTube(client, { metadataCache: new DisTube.MemoryCache({ maxSize: 1000, ttl: 600000 }) });
+ */
+declare class MemoryCache extends MetadataCache {
+    /**
+     * @param {Object} [options] Cache options
+     * @param {number} [options.maxSize=500] Maximum number of cached values, the least recently used ones are deleted first
+     * @param {number} [options.ttl=3600000] Default time (in milliseconds) a value is kept
+     */
+    constructor({ maxSize, ttl }?: {
+        maxSize?: number;
+        ttl?: number;
+    });
+    /**
+     * Maximum number of cached values
+     * @type {number}
+     */
+    maxSize: number;
+    /**
+     * Default time (in milliseconds) a value is kept
+     * @type {number}
+     */
+    ttl: number;
+    entries: Map<any, any>;
+    /**
+     * Number of cached values, including the expired ones not deleted yet
+     * @type {number}
+     */
+    get size(): number;
+}
+import MetadataCache = require("../MetadataCache");
@@ -0,0 +1 @@
+export function parseChapters(info: any): any[];
@@ -1,2 +1,8 @@
 export function formatDuration(milliseconds: any): string;
-export function toSecond(string: any): number;
+export function toSecond(time: any): number;
+/**
+ * Parse a time expression: `"1:23"`, `"1:02:03"`, `"1h2m3s"`, `"1h 2m 3s"`, `"1m30s"` or `"90s"`
+ * @param {string} string The time expression
+ * @returns {number} Seconds, `NaN` if `string` is not a time expression
+ */
+export function parseTime(string: string): number;
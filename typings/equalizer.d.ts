@@ -0,0 +1,33 @@
+export function parseEqualizer(equalizer: number[] | EqualizerPreset | any): NormalizedEqualizer | null;
+export function equalizerFilters(equalizer: NormalizedEqualizer | null): string[];
+/**
+ * `@2.9.0` Equalizer presets, gains in dB of a 10-band equalizer.
+ */
+export type EqualizerPreset = ("flat" | "rock" | "pop" | "vocal" | "classical" | "dance" | "jazz" | "electronic");
+/**
+ * Equalizer settings checked by `parseEqualizer()`
+ */
+export type NormalizedEqualizer = {
+    /**
+     * Band gains in dB, `null` if the bands are flat
+     */
+    bands: Array<number> | null;
+    /**
+     * Bass gain in dB
+     */
+    bass: number;
+    /**
+     * Treble gain in dB
+     */
+    treble: number;
+};
+export namespace presets {
+    const flat: number[];
+    const rock: number[];
+    const pop: number[];
+    const vocal: number[];
+    const classical: number[];
+    const dance: number[];
+    const jazz: number[];
+    const electronic: number[];
+}
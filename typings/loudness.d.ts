@@ -0,0 +1,3 @@
+export function loudnessGain(info: any): number | null;
+export function parseLoudnessMode(mode: boolean | string): string | null;
+export const loudnormFilter: "loudnorm=I=-16:LRA=11:TP=-1.5";
@@ -0,0 +1,12 @@
+export function parsePlaylist(content: string | Buffer, base?: string): {
+    name: string | null;
+    entries: Array<{
+        location: string;
+        title: string | null;
+        duration: number;
+        startTime: string | null;
+        endTime: string | null;
+    }>;
+};
+export function toM3U(songs: any[], name?: string): string;
+export function toXSPF(songs: any[], name?: string): string;
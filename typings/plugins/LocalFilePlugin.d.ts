@@ -0,0 +1,29 @@
+export = LocalFilePlugin;
+/**
+ * `@2.9.0` Built-in plugin playing `file://` urls inside {@link DisTubeOptions}.localMediaRoot.
+ * A directory is resolved to a {@link Playlist} of its audio files.
+ * @extends ExtractorPlugin
+ */
+declare class LocalFilePlugin extends ExtractorPlugin {
+    root: string;
+    createStream(song: any, streamOptions: any): Promise<prism.FFmpeg | prism.opus.Encoder>;
+    /**
+     * Resolve the real path of a `file://` url, rejecting paths outside the media root
+     * @private
+     * @ignore
+     * @param {string} url The file url
+     * @returns {Promise<string>}
+     */
+    private _resolvePath;
+    /**
+     * Create a Song from the file's embedded tags
+     * @private
+     * @ignore
+     * @param {string} file The file path
+     * @param {Discord.User} user Requested user
+     * @returns {Promise<Song>}
+     */
+    private _createSong;
+}
+import ExtractorPlugin = require("../ExtractorPlugin");
+import prism = require("prism-media");
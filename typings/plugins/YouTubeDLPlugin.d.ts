@@ -0,0 +1,10 @@
+export = YouTubeDLPlugin;
+/**
+ * `@2.9.0` Built-in plugin resolving any other http(s) url with youtube-dl.
+ * Always checked last since it accepts every url.
+ * @extends ExtractorPlugin
+ */
+declare class YouTubeDLPlugin extends ExtractorPlugin {
+    constructor();
+}
+import ExtractorPlugin = require("../ExtractorPlugin");
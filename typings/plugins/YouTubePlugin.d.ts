@@ -0,0 +1,10 @@
+export = YouTubePlugin;
+/**
+ * `@2.9.0` Built-in plugin resolving YouTube videos and playlists.
+ * @extends ExtractorPlugin
+ */
+declare class YouTubePlugin extends ExtractorPlugin {
+    constructor();
+    createStream(song: any, streamOptions: any): any;
+}
+import ExtractorPlugin = require("../ExtractorPlugin");
@@ -0,0 +1 @@
+export function parseSegments(segments: Array<any | any>): any[];
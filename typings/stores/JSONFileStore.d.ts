@@ -0,0 +1,32 @@
+export = JSONFileStore;
+/**
+ * `@2.9.0` Built-in queue store saving all the queues to a JSON file.
+ * @extends QueueStore
+ * @example
+ * const distube = new DisTube(client, { queueStore: new DisTube.JSONFileStore("./queues.json") });
+ * client.on("ready", () => distube.restoreQueues());
+ */
+declare class JSONFileStore extends QueueStore {
+    /**
+     * @param {string} file Path to the JSON file
+     */
+    constructor(file: string);
+    /**
+     * Path to the JSON file
+     * @type {string}
+     */
+    file: string;
+    queues: any;
+    reading: Promise<any>;
+    writing: Promise<void>;
+    pending: Promise<void>;
+    /**
+     * Write the queues to the file, one write at a time.
+     * The changes made in the same tick, or while the file is being written, are written together.
+     * @private
+     * @ignore
+     * @returns {Promise<void>}
+     */
+    private _write;
+}
+import QueueStore = require("../QueueStore");
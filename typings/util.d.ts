@@ -0,0 +1 @@
+export function isURL(string: string): boolean;
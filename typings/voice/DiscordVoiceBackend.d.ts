@@ -0,0 +1,30 @@
+export = DiscordVoiceBackend;
+/**
+ * `@2.9.0` Built-in voice backend using `@discordjs/voice`, the default one with discord.js v13.
+ * `@discordjs/voice` has to be installed.
+ * @extends VoiceBackend
+ * @example
+ * const distube = new DisTube(client, { voiceBackend: new DisTube.DiscordVoiceBackend() });
+ */
+declare class DiscordVoiceBackend extends VoiceBackend {
+    /**
+     * @param {Object} [options] Backend options
+     * @param {number} [options.timeout=30000] How long (in milliseconds) to wait for the connection to be ready
+     */
+    constructor({ timeout }?: {
+        timeout?: number;
+    });
+    /**
+     * How long (in milliseconds) to wait for the connection to be ready
+     * @type {number}
+     */
+    timeout: number;
+    /**
+     * The connection of each guild, @discordjs/voice reuses the voice connection of a guild when joining again
+     * @type {Map<Discord.Snowflake, VoiceConnection>}
+     * @private
+     * @ignore
+     */
+    private connections;
+}
+import VoiceBackend = require("../VoiceBackend");
@@ -0,0 +1,8 @@
+export = LegacyVoiceBackend;
+/**
+ * `@2.9.0` Built-in voice backend using the voice connections of discord.js v12.
+ * @extends VoiceBackend
+ */
+declare class LegacyVoiceBackend extends VoiceBackend {
+}
+import VoiceBackend = require("../VoiceBackend");